@@ -0,0 +1,112 @@
+import {
+	ClampToEdgeWrapping,
+	DataTexture,
+	LinearFilter,
+	RGBAFormat
+} from 'three';
+
+/**
+ * Perceptual colormaps for coloring points by a scalar.
+ *
+ * Usage:
+ *	const [ r, g, b ] = evaluateColormap( 'viridis', 0.25 ); // t in [0, 1]
+ *	material.setColormap( createColormapTexture( 'turbo' ), 'height' );
+ *
+ * The maps are degree 6 polynomial fits of matplotlib's viridis and plasma and of
+ * Google's turbo: smooth and cheap to evaluate, but turbo drifts slightly at its ends.
+ */
+
+// coefficients of t^0 ... t^6 per channel
+
+const COLORMAPS = {
+
+	viridis: [
+		[ 0.2777273272234177, 0.005407344544966578, 0.3340998053353061 ],
+		[ 0.1050930431085774, 1.404613529898575, 1.384590162594685 ],
+		[ - 0.3308618287255563, 0.214847559468213, 0.09509516302823659 ],
+		[ - 4.634230498983486, - 5.799100973351585, - 19.33244095627987 ],
+		[ 6.228269936347081, 14.17993336680509, 56.69055260068105 ],
+		[ 4.776384997670288, - 13.74514537774601, - 65.35303263337234 ],
+		[ - 5.435455855934631, 4.645852612178535, 26.3124352495832 ]
+	],
+
+	plasma: [
+		[ 0.05873234392399702, 0.02333670892565664, 0.5433401826748754 ],
+		[ 2.176514634195958, 0.2383834171260182, 0.7539604599784036 ],
+		[ - 2.689460476458034, - 7.455851135738909, 3.110799939717086 ],
+		[ 6.130348345893603, 42.3461881477227, - 28.51885465332158 ],
+		[ - 11.10743619062271, - 82.66631109428045, 60.13984767418263 ],
+		[ 10.02306557647065, 71.41361770095349, - 54.07218655560067 ],
+		[ - 3.658713842777788, - 22.93153465461149, 18.19190778539828 ]
+	],
+
+	turbo: [
+		[ 0.13572138, 0.09140261, 0.1066733 ],
+		[ 4.6153926, 2.19418839, 12.64194608 ],
+		[ - 42.66032258, 4.84296658, - 60.58204836 ],
+		[ 132.13108234, - 14.18503333, 110.36276771 ],
+		[ - 152.94239396, 4.27729857, - 89.90310912 ],
+		[ 59.28637943, 2.82956604, 27.34824973 ],
+		[ 0, 0, 0 ]
+	]
+
+};
+
+function evaluateColormap( name, t, target = [ 0, 0, 0 ] ) {
+
+	const coefficients = COLORMAPS[ name ];
+
+	if ( coefficients === undefined ) {
+
+		throw new Error( 'THREE.Colormaps: Unknown colormap "' + name + '".' );
+
+	}
+
+	t = Math.min( Math.max( t, 0 ), 1 );
+
+	for ( let c = 0; c < 3; c ++ ) {
+
+		// Horner's scheme from the highest power down
+
+		let value = 0;
+
+		for ( let k = coefficients.length - 1; k >= 0; k -- ) value = value * t + coefficients[ k ][ c ];
+
+		target[ c ] = Math.min( Math.max( value, 0 ), 1 );
+
+	}
+
+	return target;
+
+}
+
+// 1D lookup texture of a colormap, sampled at texture coordinate ( t, 0.5 )
+
+function createColormapTexture( name, size = 256 ) {
+
+	const data = new Uint8Array( size * 4 );
+	const color = [ 0, 0, 0 ];
+
+	for ( let i = 0; i < size; i ++ ) {
+
+		evaluateColormap( name, i / ( size - 1 ), color );
+
+		data[ 4 * i ] = Math.round( color[ 0 ] * 255 );
+		data[ 4 * i + 1 ] = Math.round( color[ 1 ] * 255 );
+		data[ 4 * i + 2 ] = Math.round( color[ 2 ] * 255 );
+		data[ 4 * i + 3 ] = 255;
+
+	}
+
+	const texture = new DataTexture( data, size, 1, RGBAFormat );
+	texture.magFilter = LinearFilter;
+	texture.minFilter = LinearFilter;
+	texture.wrapS = ClampToEdgeWrapping;
+	texture.wrapT = ClampToEdgeWrapping;
+	texture.needsUpdate = true;
+
+	return texture;
+
+}
+
+export { COLORMAPS, evaluateColormap, createColormapTexture };
@@ -0,0 +1,191 @@
+import {
+	DepthTexture,
+	Mesh,
+	OrthographicCamera,
+	PlaneGeometry,
+	ShaderMaterial,
+	Vector2,
+	Vector4,
+	WebGLRenderTarget
+} from 'three';
+
+/**
+ * Eye-dome lighting (EDL), the screen-space shading CloudCompare and Potree use to give
+ * point clouds depth without normals or lights.
+ *
+ * The scene is drawn into an offscreen color + depth target. Every pixel is then darkened
+ * by how much further away it is than its neighbours on a small ring, in log depth, so
+ * edges and steps in depth get dark outlines while flat surfaces stay as they are.
+ *
+ * Usage:
+ *	const edl = new EyeDomeLighting( { strength: 1, radius: 1.4 } );
+ *
+ *	// instead of renderer.render( scene, camera ), draws into the current viewport
+ *	edl.render( renderer, scene, camera );
+ *
+ * strength scales the darkening, radius is the ring radius in pixels.
+ */
+
+const NEIGHBOUR_COUNT = 8;
+
+const vertexShader = /* glsl */`
+
+varying vec2 vUv;
+
+void main() {
+
+	vUv = uv;
+	gl_Position = vec4( position.xy, 0.0, 1.0 );
+
+}
+`;
+
+const fragmentShader = /* glsl */`
+
+#define NEIGHBOUR_COUNT ${NEIGHBOUR_COUNT}
+
+uniform sampler2D tColor;
+uniform sampler2D tDepth;
+uniform vec2 resolution;
+uniform float cameraNear;
+uniform float cameraFar;
+uniform float radius;
+uniform float strength;
+
+varying vec2 vUv;
+
+// log2 of the view distance of a depth buffer value
+
+float logDepth( float depth ) {
+
+	#ifdef ORTHOGRAPHIC_CAMERA
+
+		float viewDistance = cameraNear + depth * ( cameraFar - cameraNear );
+
+	#else
+
+		float viewDistance = cameraNear * cameraFar / ( cameraFar - depth * ( cameraFar - cameraNear ) );
+
+	#endif
+
+	return log2( viewDistance );
+
+}
+
+void main() {
+
+	vec4 color = texture2D( tColor, vUv );
+	float depth = texture2D( tDepth, vUv ).x;
+
+	// background pixels next to geometry are outlined, see Potree's EDL shader
+
+	bool isBackground = depth >= 1.0;
+	float center = isBackground ? 0.0 : logDepth( depth );
+
+	vec2 texelRadius = radius / resolution;
+	float sum = 0.0;
+
+	for ( int i = 0; i < NEIGHBOUR_COUNT; i ++ ) {
+
+		float angle = 6.283185307179586 * float( i ) / float( NEIGHBOUR_COUNT );
+		float neighbourDepth = texture2D( tDepth, vUv + texelRadius * vec2( cos( angle ), sin( angle ) ) ).x;
+
+		if ( neighbourDepth >= 1.0 ) continue;
+
+		sum += isBackground ? 100.0 : max( 0.0, center - logDepth( neighbourDepth ) );
+
+	}
+
+	float shade = exp( - sum / float( NEIGHBOUR_COUNT ) * 300.0 * strength );
+
+	gl_FragColor = vec4( color.rgb * shade, color.a );
+
+}
+`;
+
+class EyeDomeLighting {
+
+	constructor( parameters = {} ) {
+
+		this.strength = ( parameters.strength !== undefined ) ? parameters.strength : 1;
+		this.radius = ( parameters.radius !== undefined ) ? parameters.radius : 1.4;
+
+		this.renderTarget = new WebGLRenderTarget( 1, 1, { depthTexture: new DepthTexture( 1, 1 ) } );
+
+		this.material = new ShaderMaterial( {
+			uniforms: {
+				tColor: { value: this.renderTarget.texture },
+				tDepth: { value: this.renderTarget.depthTexture },
+				resolution: { value: new Vector2( 1, 1 ) },
+				cameraNear: { value: 0.1 },
+				cameraFar: { value: 1000 },
+				radius: { value: this.radius },
+				strength: { value: this.strength }
+			},
+			vertexShader: vertexShader,
+			fragmentShader: fragmentShader,
+			depthTest: false,
+			depthWrite: false
+		} );
+
+		this.quad = new Mesh( new PlaneGeometry( 2, 2 ), this.material );
+		this.quad.frustumCulled = false;
+		this.quadCamera = new OrthographicCamera( - 1, 1, 1, - 1, 0, 1 );
+
+	}
+
+	render( renderer, scene, camera ) {
+
+		// the offscreen target matches the viewport the result goes to
+
+		renderer.getCurrentViewport( _viewport );
+
+		const width = Math.max( 1, _viewport.z );
+		const height = Math.max( 1, _viewport.w );
+
+		this.renderTarget.setSize( width, height );
+
+		const currentRenderTarget = renderer.getRenderTarget();
+
+		renderer.setRenderTarget( this.renderTarget );
+		renderer.render( scene, camera );
+		renderer.setRenderTarget( currentRenderTarget );
+
+		// shade into the current viewport
+
+		const uniforms = this.material.uniforms;
+		uniforms.resolution.value.set( width, height );
+		uniforms.cameraNear.value = camera.near;
+		uniforms.cameraFar.value = camera.far;
+		uniforms.radius.value = this.radius;
+		uniforms.strength.value = this.strength;
+
+		const orthographic = camera.isOrthographicCamera === true;
+
+		if ( orthographic !== ( this.material.defines.ORTHOGRAPHIC_CAMERA !== undefined ) ) {
+
+			if ( orthographic ) this.material.defines.ORTHOGRAPHIC_CAMERA = '';
+			else delete this.material.defines.ORTHOGRAPHIC_CAMERA;
+
+			this.material.needsUpdate = true;
+
+		}
+
+		renderer.render( this.quad, this.quadCamera );
+
+	}
+
+	dispose() {
+
+		this.renderTarget.depthTexture.dispose();
+		this.renderTarget.dispose();
+		this.quad.geometry.dispose();
+		this.material.dispose();
+
+	}
+
+}
+
+const _viewport = new Vector4();
+
+export { EyeDomeLighting };
@@ -0,0 +1,306 @@
+import {
+	BufferGeometry,
+	FileLoader,
+	Float32BufferAttribute,
+	Int32BufferAttribute,
+	Loader,
+	Points,
+	PointsMaterial,
+	Uint32BufferAttribute
+} from 'three';
+
+/**
+ * Loader for uncompressed ASPRS LAS 1.2 - 1.4 files (point data record formats 0-3 and 6-8).
+ *
+ * Produces the same attributes as PCDLoader so LiDAR surveys can be shown directly:
+ * position, color (formats 2, 3, 7, 8), intensity and label (the classification),
+ * plus gps_time, return_number, number_of_returns and point_source_id.
+ *
+ * Survey coordinates are usually too large for float32, so positions are stored
+ * relative to the center of the header bounds. The removed origin is kept in
+ * points.userData.origin, the removed GPS time in points.userData.gpsTimeOffset.
+ * Set loader.recenter = false to keep absolute coordinates.
+ *
+ * LAZ (compressed) files are not supported.
+ */
+
+// byte layout of the supported point data record formats
+
+const POINT_FORMATS = {
+	0: { length: 20, gpsTime: - 1, rgb: - 1, extended: false },
+	1: { length: 28, gpsTime: 20, rgb: - 1, extended: false },
+	2: { length: 26, gpsTime: - 1, rgb: 20, extended: false },
+	3: { length: 34, gpsTime: 20, rgb: 28, extended: false },
+	6: { length: 30, gpsTime: 22, rgb: - 1, extended: true },
+	7: { length: 36, gpsTime: 22, rgb: 30, extended: true },
+	8: { length: 38, gpsTime: 22, rgb: 30, extended: true }
+};
+
+class LASLoader extends Loader {
+
+	constructor( manager ) {
+
+		super( manager );
+
+		this.recenter = true;
+
+	}
+
+	load( url, onLoad, onProgress, onError ) {
+
+		const scope = this;
+
+		const loader = new FileLoader( scope.manager );
+		loader.setPath( scope.path );
+		loader.setResponseType( 'arraybuffer' );
+		loader.setRequestHeader( scope.requestHeader );
+		loader.setWithCredentials( scope.withCredentials );
+		loader.load( url, function ( data ) {
+
+			try {
+
+				onLoad( scope.parse( data ) );
+
+			} catch ( e ) {
+
+				if ( onError ) {
+
+					onError( e );
+
+				} else {
+
+					console.error( e );
+
+				}
+
+				scope.manager.itemError( url );
+
+			}
+
+		}, onProgress, onError );
+
+	}
+
+	parse( data ) {
+
+		function parseHeader( dataview ) {
+
+			if ( dataview.byteLength < 227 ) {
+
+				throw new Error( 'THREE.LASLoader: File is too small to hold a LAS header.' );
+
+			}
+
+			const signature = String.fromCharCode( dataview.getUint8( 0 ), dataview.getUint8( 1 ), dataview.getUint8( 2 ), dataview.getUint8( 3 ) );
+
+			if ( signature !== 'LASF' ) {
+
+				throw new Error( 'THREE.LASLoader: Missing "LASF" file signature.' );
+
+			}
+
+			const header = {};
+
+			header.versionMajor = dataview.getUint8( 24 );
+			header.versionMinor = dataview.getUint8( 25 );
+			header.headerSize = dataview.getUint16( 94, true );
+			header.pointOffset = dataview.getUint32( 96, true );
+			header.pointFormat = dataview.getUint8( 104 );
+			header.pointLength = dataview.getUint16( 105, true );
+			header.points = dataview.getUint32( 107, true );
+
+			header.scale = [ dataview.getFloat64( 131, true ), dataview.getFloat64( 139, true ), dataview.getFloat64( 147, true ) ];
+			header.offset = [ dataview.getFloat64( 155, true ), dataview.getFloat64( 163, true ), dataview.getFloat64( 171, true ) ];
+			header.max = [ dataview.getFloat64( 179, true ), dataview.getFloat64( 195, true ), dataview.getFloat64( 211, true ) ];
+			header.min = [ dataview.getFloat64( 187, true ), dataview.getFloat64( 203, true ), dataview.getFloat64( 219, true ) ];
+
+			// LAS 1.4 moved the point count to a 64 bit field, the legacy one is 0 for large files
+
+			if ( header.versionMinor >= 4 && header.headerSize >= 255 && dataview.byteLength >= 255 ) {
+
+				const count = Number( dataview.getBigUint64( 247, true ) );
+				if ( count > 0 ) header.points = count;
+
+			}
+
+			if ( header.versionMajor !== 1 || header.versionMinor > 4 ) {
+
+				throw new Error( 'THREE.LASLoader: Unsupported LAS version ' + header.versionMajor + '.' + header.versionMinor + '.' );
+
+			}
+
+			// LAZ writers set the two high bits of the point format
+
+			if ( header.pointFormat & 0xc0 ) {
+
+				throw new Error( 'THREE.LASLoader: Compressed LAZ files are not supported.' );
+
+			}
+
+			const format = POINT_FORMATS[ header.pointFormat ];
+
+			if ( format === undefined ) {
+
+				throw new Error( 'THREE.LASLoader: Unsupported point data record format ' + header.pointFormat + '.' );
+
+			}
+
+			if ( header.pointLength < format.length ) {
+
+				throw new Error( 'THREE.LASLoader: Point record length ' + header.pointLength + ' is too short for format ' + header.pointFormat + '.' );
+
+			}
+
+			if ( header.pointOffset + header.points * header.pointLength > dataview.byteLength ) {
+
+				throw new Error( 'THREE.LASLoader: File is truncated, expected ' + header.points + ' points of ' + header.pointLength + ' bytes.' );
+
+			}
+
+			return header;
+
+		}
+
+		const dataview = new DataView( data );
+		const header = parseHeader( dataview );
+		const format = POINT_FORMATS[ header.pointFormat ];
+
+		const count = header.points;
+		const scale = header.scale;
+
+		const origin = this.recenter
+			? [ 0.5 * ( header.min[ 0 ] + header.max[ 0 ] ), 0.5 * ( header.min[ 1 ] + header.max[ 1 ] ), 0.5 * ( header.min[ 2 ] + header.max[ 2 ] ) ]
+			: [ 0, 0, 0 ];
+
+		// subtracting the origin from the offset first keeps the float64 math exact for survey coordinates
+
+		const shift = [ header.offset[ 0 ] - origin[ 0 ], header.offset[ 1 ] - origin[ 1 ], header.offset[ 2 ] - origin[ 2 ] ];
+
+		const position = new Float32Array( count * 3 );
+		const intensity = new Float32Array( count );
+		const label = new Int32Array( count );
+		const returnNumber = new Uint32Array( count );
+		const numberOfReturns = new Uint32Array( count );
+		const pointSourceId = new Uint32Array( count );
+		const rgb = ( format.rgb >= 0 ) ? new Uint16Array( count * 3 ) : null;
+		const gpsTime = ( format.gpsTime >= 0 ) ? new Float64Array( count ) : null;
+
+		let maxChannel = 0;
+		let minGpsTime = Infinity;
+
+		for ( let i = 0, row = header.pointOffset; i < count; i ++, row += header.pointLength ) {
+
+			position[ 3 * i ] = dataview.getInt32( row, true ) * scale[ 0 ] + shift[ 0 ];
+			position[ 3 * i + 1 ] = dataview.getInt32( row + 4, true ) * scale[ 1 ] + shift[ 1 ];
+			position[ 3 * i + 2 ] = dataview.getInt32( row + 8, true ) * scale[ 2 ] + shift[ 2 ];
+
+			intensity[ i ] = dataview.getUint16( row + 12, true );
+
+			const returns = dataview.getUint8( row + 14 );
+
+			if ( format.extended ) {
+
+				returnNumber[ i ] = returns & 0x0f;
+				numberOfReturns[ i ] = ( returns >> 4 ) & 0x0f;
+				label[ i ] = dataview.getUint8( row + 16 );
+				pointSourceId[ i ] = dataview.getUint16( row + 20, true );
+
+			} else {
+
+				returnNumber[ i ] = returns & 0x07;
+				numberOfReturns[ i ] = ( returns >> 3 ) & 0x07;
+				label[ i ] = dataview.getUint8( row + 15 ) & 0x1f;
+				pointSourceId[ i ] = dataview.getUint16( row + 18, true );
+
+			}
+
+			if ( gpsTime !== null ) {
+
+				gpsTime[ i ] = dataview.getFloat64( row + format.gpsTime, true );
+				if ( gpsTime[ i ] < minGpsTime ) minGpsTime = gpsTime[ i ];
+
+			}
+
+			if ( rgb !== null ) {
+
+				for ( let c = 0; c < 3; c ++ ) {
+
+					const value = dataview.getUint16( row + format.rgb + 2 * c, true );
+					rgb[ 3 * i + c ] = value;
+					if ( value > maxChannel ) maxChannel = value;
+
+				}
+
+			}
+
+		}
+
+		// build geometry
+
+		const geometry = new BufferGeometry();
+
+		geometry.setAttribute( 'position', new Float32BufferAttribute( position, 3 ) );
+
+		if ( rgb !== null ) {
+
+			// the spec asks for 16 bit channels, but many writers store 8 bit values
+
+			const colorScale = ( maxChannel > 255 ) ? 1 / 65535 : 1 / 255;
+			const color = new Float32Array( count * 3 );
+
+			for ( let i = 0; i < color.length; i ++ ) color[ i ] = rgb[ i ] * colorScale;
+
+			geometry.setAttribute( 'color', new Float32BufferAttribute( color, 3 ) );
+
+		}
+
+		geometry.setAttribute( 'intensity', new Float32BufferAttribute( intensity, 1 ) );
+		geometry.setAttribute( 'label', new Int32BufferAttribute( label, 1 ) );
+		geometry.setAttribute( 'return_number', new Uint32BufferAttribute( returnNumber, 1 ) );
+		geometry.setAttribute( 'number_of_returns', new Uint32BufferAttribute( numberOfReturns, 1 ) );
+		geometry.setAttribute( 'point_source_id', new Uint32BufferAttribute( pointSourceId, 1 ) );
+
+		let gpsTimeOffset = 0;
+
+		if ( gpsTime !== null ) {
+
+			// float32 cannot hold absolute GPS time, keep it relative to the earliest sample
+
+			gpsTimeOffset = ( count > 0 ) ? minGpsTime : 0;
+
+			const relativeTime = new Float32Array( count );
+
+			for ( let i = 0; i < count; i ++ ) relativeTime[ i ] = gpsTime[ i ] - gpsTimeOffset;
+
+			geometry.setAttribute( 'gps_time', new Float32BufferAttribute( relativeTime, 1 ) );
+
+		}
+
+		geometry.computeBoundingSphere();
+
+		// build material
+
+		const material = new PointsMaterial( { size: 0.005 } );
+
+		if ( rgb !== null ) {
+
+			material.vertexColors = true;
+
+		}
+
+		// build point cloud
+
+		const points = new Points( geometry, material );
+
+		points.userData.origin = origin;
+		points.userData.gpsTimeOffset = gpsTimeOffset;
+		points.userData.lasVersion = header.versionMajor + '.' + header.versionMinor;
+		points.userData.pointFormat = header.pointFormat;
+
+		return points;
+
+	}
+
+}
+
+export { LASLoader };
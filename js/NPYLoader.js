@@ -0,0 +1,362 @@
+import {
+	FileLoader,
+	Loader
+} from 'three';
+
+/**
+ * Loader for NumPy .npy arrays and .npz archives of them.
+ *
+ * parse() returns an array { data, shape, dtype } for .npy files and an object
+ * mapping each array name to such an array for .npz files. data is a typed array in
+ * C order: Fortran ordered files are transposed while loading, float16 is widened
+ * to float32, int64 is narrowed to int32 and uint64 to float64. .npz archives must
+ * be written with np.savez (stored), not np.savez_compressed.
+ *
+ * Usage:
+ *	const loader = new NPYLoader();
+ *	loader.load( 'trajectory.npy', function ( array ) {
+ *
+ *		const frames = splitFrames( array ); // (T, N, 3) -> T position arrays
+ *
+ *	} );
+ */
+
+// dtype kind + byte size -> typed array and DataView getter
+
+const DTYPES = {
+	f2: { array: Float32Array, size: 2, getter: null },
+	f4: { array: Float32Array, size: 4, getter: 'getFloat32' },
+	f8: { array: Float64Array, size: 8, getter: 'getFloat64' },
+	i1: { array: Int8Array, size: 1, getter: 'getInt8' },
+	i2: { array: Int16Array, size: 2, getter: 'getInt16' },
+	i4: { array: Int32Array, size: 4, getter: 'getInt32' },
+	i8: { array: Int32Array, size: 8, getter: 'getBigInt64' },
+	u1: { array: Uint8Array, size: 1, getter: 'getUint8' },
+	u2: { array: Uint16Array, size: 2, getter: 'getUint16' },
+	u4: { array: Uint32Array, size: 4, getter: 'getUint32' },
+	u8: { array: Float64Array, size: 8, getter: 'getBigUint64' },
+	b1: { array: Uint8Array, size: 1, getter: 'getUint8' }
+};
+
+class NPYLoader extends Loader {
+
+	constructor( manager ) {
+
+		super( manager );
+
+	}
+
+	load( url, onLoad, onProgress, onError ) {
+
+		const scope = this;
+
+		const loader = new FileLoader( scope.manager );
+		loader.setPath( scope.path );
+		loader.setResponseType( 'arraybuffer' );
+		loader.setRequestHeader( scope.requestHeader );
+		loader.setWithCredentials( scope.withCredentials );
+		loader.load( url, function ( data ) {
+
+			try {
+
+				onLoad( scope.parse( data ) );
+
+			} catch ( e ) {
+
+				if ( onError ) {
+
+					onError( e );
+
+				} else {
+
+					console.error( e );
+
+				}
+
+				scope.manager.itemError( url );
+
+			}
+
+		}, onProgress, onError );
+
+	}
+
+	parse( data ) {
+
+		const bytes = new Uint8Array( data );
+
+		// zip archives start with a local file header
+
+		if ( bytes[ 0 ] === 0x50 && bytes[ 1 ] === 0x4b && bytes[ 2 ] === 0x03 && bytes[ 3 ] === 0x04 ) {
+
+			return this.parseNpz( bytes );
+
+		}
+
+		return this.parseNpy( bytes );
+
+	}
+
+	parseNpy( bytes ) {
+
+		const magic = String.fromCharCode( ...bytes.subarray( 1, 6 ) );
+
+		if ( bytes[ 0 ] !== 0x93 || magic !== 'NUMPY' ) {
+
+			throw new Error( 'THREE.NPYLoader: Missing "\\x93NUMPY" magic string.' );
+
+		}
+
+		const view = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength );
+		const major = bytes[ 6 ];
+
+		// version 1 stores the header length in 2 bytes, versions 2 and 3 in 4
+
+		const headerLength = ( major === 1 ) ? view.getUint16( 8, true ) : view.getUint32( 8, true );
+		const headerStart = ( major === 1 ) ? 10 : 12;
+		const header = new TextDecoder().decode( bytes.subarray( headerStart, headerStart + headerLength ) );
+
+		const descr = /'descr'\s*:\s*'([^']*)'/.exec( header );
+		const fortran = /'fortran_order'\s*:\s*(True|False)/.exec( header );
+		const shape = /'shape'\s*:\s*\(([^)]*)\)/.exec( header );
+
+		if ( descr === null || fortran === null || shape === null ) {
+
+			throw new Error( 'THREE.NPYLoader: Malformed header "' + header.trim() + '".' );
+
+		}
+
+		const byteOrder = descr[ 1 ][ 0 ];
+		const dtype = descr[ 1 ].slice( 1 );
+		const type = DTYPES[ dtype ];
+
+		if ( type === undefined ) {
+
+			throw new Error( 'THREE.NPYLoader: Unsupported dtype "' + descr[ 1 ] + '".' );
+
+		}
+
+		const dims = shape[ 1 ].split( ',' ).map( ( s ) => s.trim() ).filter( ( s ) => s !== '' ).map( ( s ) => parseInt( s, 10 ) );
+		const count = dims.reduce( ( a, b ) => a * b, 1 );
+		const littleEndian = ( byteOrder !== '>' );
+		const dataStart = headerStart + headerLength;
+
+		if ( dataStart + count * type.size > bytes.length ) {
+
+			throw new Error( 'THREE.NPYLoader: Data is truncated, expected ' + count + ' values of ' + descr[ 1 ] + '.' );
+
+		}
+
+		let array = new type.array( count );
+
+		if ( dtype === 'f2' ) {
+
+			for ( let i = 0, offset = dataStart; i < count; i ++, offset += type.size ) array[ i ] = decodeFloat16( view.getUint16( offset, littleEndian ) );
+
+		} else if ( type.size === 8 && type.getter !== 'getFloat64' ) {
+
+			// 64 bit integers (NumPy's default int) come back as BigInt
+
+			for ( let i = 0, offset = dataStart; i < count; i ++, offset += type.size ) array[ i ] = Number( view[ type.getter ]( offset, littleEndian ) );
+
+		} else {
+
+			for ( let i = 0, offset = dataStart; i < count; i ++, offset += type.size ) array[ i ] = view[ type.getter ]( offset, littleEndian );
+
+		}
+
+		if ( fortran[ 1 ] === 'True' && dims.length > 1 ) array = fortranToC( array, dims );
+
+		return { data: array, shape: dims, dtype: dtype };
+
+	}
+
+	parseNpz( bytes ) {
+
+		const view = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength );
+
+		// the end of central directory record is at least 22 bytes from the end, followed by an optional comment
+
+		let eocd = - 1;
+
+		for ( let i = bytes.length - 22; i >= Math.max( 0, bytes.length - 65557 ); i -- ) {
+
+			if ( view.getUint32( i, true ) === 0x06054b50 ) {
+
+				eocd = i;
+				break;
+
+			}
+
+		}
+
+		if ( eocd === - 1 ) {
+
+			throw new Error( 'THREE.NPYLoader: Missing zip end of central directory record.' );
+
+		}
+
+		let entries = view.getUint16( eocd + 10, true );
+		let directory = view.getUint32( eocd + 16, true );
+
+		// zip64 archives (np.savez always forces zip64 entries) point to a second directory record
+
+		if ( ( entries === 0xffff || directory === 0xffffffff ) && eocd >= 20 && view.getUint32( eocd - 20, true ) === 0x07064b50 ) {
+
+			const eocd64 = Number( view.getBigUint64( eocd - 12, true ) );
+			entries = Number( view.getBigUint64( eocd64 + 32, true ) );
+			directory = Number( view.getBigUint64( eocd64 + 48, true ) );
+
+		}
+
+		const arrays = {};
+
+		for ( let e = 0, offset = directory; e < entries; e ++ ) {
+
+			if ( view.getUint32( offset, true ) !== 0x02014b50 ) {
+
+				throw new Error( 'THREE.NPYLoader: Corrupt zip central directory.' );
+
+			}
+
+			const method = view.getUint16( offset + 10, true );
+			let compressedSize = view.getUint32( offset + 20, true );
+			const nameLength = view.getUint16( offset + 28, true );
+			const extraLength = view.getUint16( offset + 30, true );
+			const commentLength = view.getUint16( offset + 32, true );
+			let localOffset = view.getUint32( offset + 42, true );
+			const name = new TextDecoder().decode( bytes.subarray( offset + 46, offset + 46 + nameLength ) );
+
+			// zip64 extra field: 8 byte values for whichever 32 bit field is saturated, in this order
+
+			let uncompressedSize = view.getUint32( offset + 24, true );
+
+			for ( let x = offset + 46 + nameLength; x < offset + 46 + nameLength + extraLength; ) {
+
+				const id = view.getUint16( x, true );
+				const size = view.getUint16( x + 2, true );
+
+				if ( id === 0x0001 ) {
+
+					let field = x + 4;
+
+					if ( uncompressedSize === 0xffffffff ) {
+
+						uncompressedSize = Number( view.getBigUint64( field, true ) );
+						field += 8;
+
+					}
+
+					if ( compressedSize === 0xffffffff ) {
+
+						compressedSize = Number( view.getBigUint64( field, true ) );
+						field += 8;
+
+					}
+
+					if ( localOffset === 0xffffffff ) localOffset = Number( view.getBigUint64( field, true ) );
+
+				}
+
+				x += 4 + size;
+
+			}
+
+			if ( method !== 0 ) {
+
+				throw new Error( 'THREE.NPYLoader: "' + name + '" is compressed, save the archive with np.savez instead of np.savez_compressed.' );
+
+			}
+
+			const dataStart = localOffset + 30 + view.getUint16( localOffset + 26, true ) + view.getUint16( localOffset + 28, true );
+
+			if ( name.endsWith( '.npy' ) ) {
+
+				arrays[ name.slice( 0, - 4 ) ] = this.parseNpy( bytes.subarray( dataStart, dataStart + compressedSize ) );
+
+			}
+
+			offset += 46 + nameLength + extraLength + commentLength;
+
+		}
+
+		return arrays;
+
+	}
+
+}
+
+// splits a (T, N, 3) array into T position arrays of length N * 3, as views into its data
+
+function splitFrames( array ) {
+
+	if ( array.shape.length !== 3 || array.shape[ 2 ] !== 3 ) {
+
+		throw new Error( 'THREE.NPYLoader: Expected an array of shape (T, N, 3), got (' + array.shape.join( ', ' ) + ').' );
+
+	}
+
+	const [ frameCount, pointCount ] = array.shape;
+	const data = ( array.data instanceof Float32Array ) ? array.data : new Float32Array( array.data );
+	const frames = [];
+
+	for ( let t = 0; t < frameCount; t ++ ) {
+
+		frames.push( data.subarray( t * pointCount * 3, ( t + 1 ) * pointCount * 3 ) );
+
+	}
+
+	return frames;
+
+}
+
+function decodeFloat16( bits ) {
+
+	const sign = ( bits & 0x8000 ) ? - 1 : 1;
+	const exponent = ( bits >> 10 ) & 0x1f;
+	const fraction = bits & 0x03ff;
+
+	if ( exponent === 0 ) return sign * Math.pow( 2, - 14 ) * ( fraction / 1024 );
+	if ( exponent === 0x1f ) return fraction ? NaN : sign * Infinity;
+
+	return sign * Math.pow( 2, exponent - 15 ) * ( 1 + fraction / 1024 );
+
+}
+
+// Fortran order stores the first index fastest, C order the last
+
+function fortranToC( array, shape ) {
+
+	const result = new array.constructor( array.length );
+	const dims = shape.length;
+	const index = new Array( dims ).fill( 0 );
+
+	// strides of the Fortran layout
+
+	const strides = new Array( dims );
+	strides[ 0 ] = 1;
+	for ( let d = 1; d < dims; d ++ ) strides[ d ] = strides[ d - 1 ] * shape[ d - 1 ];
+
+	for ( let i = 0; i < array.length; i ++ ) {
+
+		let source = 0;
+		for ( let d = 0; d < dims; d ++ ) source += index[ d ] * strides[ d ];
+
+		result[ i ] = array[ source ];
+
+		// advance the C order index, last dimension fastest
+
+		for ( let d = dims - 1; d >= 0; d -- ) {
+
+			if ( ++ index[ d ] < shape[ d ] ) break;
+			index[ d ] = 0;
+
+		}
+
+	}
+
+	return result;
+
+}
+
+export { NPYLoader, splitFrames };
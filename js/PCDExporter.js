@@ -0,0 +1,382 @@
+/**
+ * https://pointclouds.org/documentation/tutorials/pcd_file_format.html
+ *
+ * Usage:
+ *  const exporter = new PCDExporter();
+ *
+ *  // second argument is a list of options
+ *  const data = exporter.parse( points, { format: 'binary' } );
+ *
+ * Format Definition:
+ * format: 'ascii' | 'binary' | 'binary_compressed' (default: 'binary')
+ *
+ * 'ascii' returns a string, the binary formats return an ArrayBuffer.
+ * Attributes are written as stored in the geometry, object transforms are not applied.
+ * The VIEWPOINT and the WIDTH / HEIGHT of organized clouds are taken from the userData
+ * PCDLoader fills in, when present and consistent with the point count.
+ */
+
+import {
+	BufferGeometry
+} from 'three';
+
+// attributes with a fixed PCD field layout, every other attribute is written under its own name
+
+const KNOWN_ATTRIBUTES = [ 'position', 'normal', 'color', 'intensity', 'label' ];
+
+class PCDExporter {
+
+	parse( object, options = {} ) {
+
+		const defaultOptions = {
+			format: 'binary'
+		};
+
+		options = Object.assign( defaultOptions, options );
+
+		const geometry = ( object instanceof BufferGeometry ) ? object : object.geometry;
+
+		if ( geometry === undefined || geometry.isBufferGeometry !== true ) {
+
+			throw new Error( 'THREE.PCDExporter: Object has no BufferGeometry.' );
+
+		}
+
+		const position = geometry.getAttribute( 'position' );
+
+		if ( position === undefined ) {
+
+			throw new Error( 'THREE.PCDExporter: Geometry has no position attribute.' );
+
+		}
+
+		if ( [ 'ascii', 'binary', 'binary_compressed' ].includes( options.format ) === false ) {
+
+			throw new Error( 'THREE.PCDExporter: Unsupported format ' + options.format + '.' );
+
+		}
+
+		const pointCount = position.count;
+		const fields = collectFields( geometry );
+
+		const userData = ( object.userData !== undefined ) ? object.userData : {};
+		const organized = userData.width * userData.height === pointCount;
+		const width = organized ? userData.width : pointCount;
+		const height = organized ? userData.height : 1;
+
+		let viewpoint = '0 0 0 1 0 0 0';
+
+		if ( userData.viewpoint !== undefined ) {
+
+			const p = userData.viewpoint.position;
+			const q = userData.viewpoint.quaternion;
+			viewpoint = [ p.x, p.y, p.z, q.w, q.x, q.y, q.z ].join( ' ' );
+
+		}
+
+		// header
+
+		let header = '# .PCD v0.7 - Point Cloud Data file format\n';
+		header += 'VERSION 0.7\n';
+		header += 'FIELDS ' + fields.map( ( f ) => f.name ).join( ' ' ) + '\n';
+		header += 'SIZE ' + fields.map( ( f ) => f.size ).join( ' ' ) + '\n';
+		header += 'TYPE ' + fields.map( ( f ) => f.type ).join( ' ' ) + '\n';
+		header += 'COUNT ' + fields.map( ( f ) => f.count ).join( ' ' ) + '\n';
+		header += 'WIDTH ' + width + '\n';
+		header += 'HEIGHT ' + height + '\n';
+		header += 'VIEWPOINT ' + viewpoint + '\n';
+		header += 'POINTS ' + pointCount + '\n';
+		header += 'DATA ' + options.format + '\n';
+
+		// ascii
+
+		if ( options.format === 'ascii' ) {
+
+			const lines = [ header ];
+
+			for ( let i = 0; i < pointCount; i ++ ) {
+
+				const line = [];
+
+				for ( let f = 0; f < fields.length; f ++ ) {
+
+					const field = fields[ f ];
+
+					for ( let j = 0; j < field.count; j ++ ) {
+
+						const value = field.read( i, j );
+						line.push( field.type === 'F' ? value : Math.round( value ) );
+
+					}
+
+				}
+
+				lines.push( line.join( ' ' ) + '\n' );
+
+			}
+
+			return lines.join( '' );
+
+		}
+
+		// binary and binary-compressed
+
+		let rowSize = 0;
+
+		for ( let f = 0; f < fields.length; f ++ ) {
+
+			fields[ f ].offset = rowSize;
+			rowSize += fields[ f ].size * fields[ f ].count;
+
+		}
+
+		const body = new ArrayBuffer( rowSize * pointCount );
+		const dataview = new DataView( body );
+
+		// binary files are array of structures, compressed files are structure of arrays
+
+		const componentOffset = ( options.format === 'binary' )
+			? ( field, i, j ) => i * rowSize + field.offset + j * field.size
+			: ( field, i, j ) => pointCount * field.offset + ( i * field.count + j ) * field.size;
+
+		for ( let i = 0; i < pointCount; i ++ ) {
+
+			for ( let f = 0; f < fields.length; f ++ ) {
+
+				const field = fields[ f ];
+
+				for ( let j = 0; j < field.count; j ++ ) {
+
+					writeValue( dataview, componentOffset( field, i, j ), field.type, field.size, field.read( i, j ) );
+
+				}
+
+			}
+
+		}
+
+		const headerBytes = new TextEncoder().encode( header );
+
+		if ( options.format === 'binary' ) {
+
+			const output = new Uint8Array( headerBytes.length + body.byteLength );
+			output.set( headerBytes, 0 );
+			output.set( new Uint8Array( body ), headerBytes.length );
+
+			return output.buffer;
+
+		}
+
+		const compressed = compressLZF( new Uint8Array( body ) );
+
+		const output = new Uint8Array( headerBytes.length + 8 + compressed.length );
+		output.set( headerBytes, 0 );
+
+		const sizes = new DataView( output.buffer, headerBytes.length, 8 );
+		sizes.setUint32( 0, compressed.length, true );
+		sizes.setUint32( 4, body.byteLength, true );
+
+		output.set( compressed, headerBytes.length + 8 );
+
+		return output.buffer;
+
+	}
+
+}
+
+// PCD field descriptions with a reader for component j of point i
+
+function collectFields( geometry ) {
+
+	const fields = [];
+
+	const position = geometry.getAttribute( 'position' );
+	fields.push( { name: 'x', type: 'F', size: 4, count: 1, read: ( i ) => position.getX( i ) } );
+	fields.push( { name: 'y', type: 'F', size: 4, count: 1, read: ( i ) => position.getY( i ) } );
+	fields.push( { name: 'z', type: 'F', size: 4, count: 1, read: ( i ) => position.getZ( i ) } );
+
+	const normal = geometry.getAttribute( 'normal' );
+
+	if ( normal !== undefined ) {
+
+		fields.push( { name: 'normal_x', type: 'F', size: 4, count: 1, read: ( i ) => normal.getX( i ) } );
+		fields.push( { name: 'normal_y', type: 'F', size: 4, count: 1, read: ( i ) => normal.getY( i ) } );
+		fields.push( { name: 'normal_z', type: 'F', size: 4, count: 1, read: ( i ) => normal.getZ( i ) } );
+
+	}
+
+	const color = geometry.getAttribute( 'color' );
+
+	if ( color !== undefined ) {
+
+		// packed 0x00RRGGBB, the layout PCDLoader and PCL read back
+
+		fields.push( { name: 'rgb', type: 'U', size: 4, count: 1, read: ( i ) => {
+
+			const r = Math.round( Math.min( Math.max( color.getX( i ), 0 ), 1 ) * 255 );
+			const g = Math.round( Math.min( Math.max( color.getY( i ), 0 ), 1 ) * 255 );
+			const b = Math.round( Math.min( Math.max( color.getZ( i ), 0 ), 1 ) * 255 );
+
+			return ( r << 16 ) | ( g << 8 ) | b;
+
+		} } );
+
+	}
+
+	const intensity = geometry.getAttribute( 'intensity' );
+
+	if ( intensity !== undefined ) {
+
+		fields.push( { name: 'intensity', type: 'F', size: 4, count: 1, read: ( i ) => intensity.getX( i ) } );
+
+	}
+
+	const label = geometry.getAttribute( 'label' );
+
+	if ( label !== undefined ) {
+
+		fields.push( { name: 'label', type: 'I', size: 4, count: 1, read: ( i ) => label.getX( i ) } );
+
+	}
+
+	for ( const name in geometry.attributes ) {
+
+		if ( KNOWN_ATTRIBUTES.includes( name ) || /\s/.test( name ) ) continue;
+
+		const attribute = geometry.attributes[ name ];
+
+		if ( attribute.isInterleavedBufferAttribute === true ) continue;
+
+		const [ type, size ] = arrayType( attribute.array );
+		const itemSize = attribute.itemSize;
+
+		fields.push( { name: name, type: type, size: size, count: itemSize, read: ( i, j ) => attribute.array[ i * itemSize + j ] } );
+
+	}
+
+	return fields;
+
+}
+
+// PCD TYPE and SIZE matching a typed array
+
+function arrayType( array ) {
+
+	if ( array instanceof Float64Array ) return [ 'F', 8 ];
+	if ( array instanceof Int8Array ) return [ 'I', 1 ];
+	if ( array instanceof Int16Array ) return [ 'I', 2 ];
+	if ( array instanceof Int32Array ) return [ 'I', 4 ];
+	if ( array instanceof Uint8Array || array instanceof Uint8ClampedArray ) return [ 'U', 1 ];
+	if ( array instanceof Uint16Array ) return [ 'U', 2 ];
+	if ( array instanceof Uint32Array ) return [ 'U', 4 ];
+
+	return [ 'F', 4 ];
+
+}
+
+function writeValue( dataview, byteOffset, type, size, value ) {
+
+	if ( type === 'F' ) {
+
+		if ( size === 8 ) dataview.setFloat64( byteOffset, value, true );
+		else dataview.setFloat32( byteOffset, value, true );
+
+	} else if ( type === 'U' ) {
+
+		if ( size === 1 ) dataview.setUint8( byteOffset, value );
+		else if ( size === 2 ) dataview.setUint16( byteOffset, value, true );
+		else dataview.setUint32( byteOffset, value, true );
+
+	} else {
+
+		if ( size === 1 ) dataview.setInt8( byteOffset, value );
+		else if ( size === 2 ) dataview.setInt16( byteOffset, value, true );
+		else dataview.setInt32( byteOffset, value, true );
+
+	}
+
+}
+
+// LZF compression as expected by PCDLoader's decompressLZF
+
+function compressLZF( inData ) {
+
+	const inLength = inData.length;
+	const maxOffset = 1 << 13;
+	const maxMatch = 264;
+
+	// worst case is all literals: one control byte per 32 bytes
+
+	const outData = new Uint8Array( inLength + Math.ceil( inLength / 32 ) + 1 );
+	const hashTable = new Int32Array( 1 << 14 ).fill( - 1 );
+
+	let inPtr = 0;
+	let outPtr = 0;
+	let literalStart = 0;
+
+	function flushLiterals( end ) {
+
+		while ( literalStart < end ) {
+
+			const run = Math.min( 32, end - literalStart );
+			outData[ outPtr ++ ] = run - 1;
+
+			for ( let k = 0; k < run; k ++ ) outData[ outPtr ++ ] = inData[ literalStart ++ ];
+
+		}
+
+	}
+
+	while ( inPtr + 2 < inLength ) {
+
+		const hash = ( ( inData[ inPtr ] << 8 ) ^ ( inData[ inPtr + 1 ] << 4 ) ^ inData[ inPtr + 2 ] ) & 0x3fff;
+		const ref = hashTable[ hash ];
+		hashTable[ hash ] = inPtr;
+
+		const off = inPtr - ref - 1;
+
+		if ( ref >= 0 && off < maxOffset &&
+			inData[ ref ] === inData[ inPtr ] &&
+			inData[ ref + 1 ] === inData[ inPtr + 1 ] &&
+			inData[ ref + 2 ] === inData[ inPtr + 2 ] ) {
+
+			const limit = Math.min( maxMatch, inLength - inPtr );
+			let len = 3;
+
+			while ( len < limit && inData[ ref + len ] === inData[ inPtr + len ] ) len ++;
+
+			flushLiterals( inPtr );
+
+			const encodedLen = len - 2;
+
+			if ( encodedLen < 7 ) {
+
+				outData[ outPtr ++ ] = ( encodedLen << 5 ) | ( off >> 8 );
+
+			} else {
+
+				outData[ outPtr ++ ] = ( 7 << 5 ) | ( off >> 8 );
+				outData[ outPtr ++ ] = encodedLen - 7;
+
+			}
+
+			outData[ outPtr ++ ] = off & 0xff;
+
+			inPtr += len;
+			literalStart = inPtr;
+
+		} else {
+
+			inPtr ++;
+
+		}
+
+	}
+
+	flushLiterals( inLength );
+
+	return outData.slice( 0, outPtr );
+
+}
+
+export { PCDExporter };
@@ -1,12 +1,16 @@
 import {
+	Box3,
+	BufferAttribute,
 	BufferGeometry,
 	FileLoader,
-	Float32BufferAttribute,
-	Int32BufferAttribute,
 	Loader,
 	Points,
-	PointsMaterial
+	PointsMaterial,
+	Quaternion,
+	Sphere,
+	Vector3
 } from 'three';
+import { parsePCD, PCDStreamParser, PCDParseError } from './PCDParser.js';
 
 class PCDLoader extends Loader {
 
@@ -16,6 +20,10 @@ class PCDLoader extends Loader {
 
 		this.littleEndian = true;
 
+		// place the returned Points at the VIEWPOINT sensor pose instead of only reporting it in userData
+
+		this.applyViewpoint = false;
+
 	}
 
 	load( url, onLoad, onProgress, onError ) {
@@ -53,400 +61,277 @@ class PCDLoader extends Loader {
 
 	}
 
-	parse( data ) {
-
-		// from https://gitlab.com/taketwo/three-pcd-loader/blob/master/decompress-lzf.js
-
-		function decompressLZF( inData, outLength ) {
-
-			const inLength = inData.length;
-			const outData = new Uint8Array( outLength );
-			let inPtr = 0;
-			let outPtr = 0;
-			let ctrl;
-			let len;
-			let ref;
-			do {
+	// streams the file and reports points as soon as their rows arrive:
+	// onChunk( { start, count, attributes }, header ) for every decoded block of points,
+	// onLoad( points ) with the complete cloud once the stream has ended.
+	// Binary bodies are decoded incrementally, ascii and binary_compressed in one go at the end
+	// through parseAsync(), which subclasses can move off the main thread.
 
-				ctrl = inData[ inPtr ++ ];
-				if ( ctrl < ( 1 << 5 ) ) {
+	loadProgressive( url, onChunk, onLoad, onProgress, onError ) {
 
-					ctrl ++;
-					if ( outPtr + ctrl > outLength ) throw new Error( 'Output buffer is not large enough' );
-					if ( inPtr + ctrl > inLength ) throw new Error( 'Invalid compressed data' );
-					do {
-
-						outData[ outPtr ++ ] = inData[ inPtr ++ ];
-
-					} while ( -- ctrl );
+		const scope = this;
 
-				} else {
+		if ( this.path !== undefined ) url = this.path + url;
 
-					len = ctrl >> 5;
-					ref = outPtr - ( ( ctrl & 0x1f ) << 8 ) - 1;
-					if ( inPtr >= inLength ) throw new Error( 'Invalid compressed data' );
-					if ( len === 7 ) {
+		url = this.manager.resolveURL( url );
 
-						len += inData[ inPtr ++ ];
-						if ( inPtr >= inLength ) throw new Error( 'Invalid compressed data' );
+		function handleError( e ) {
 
-					}
+			if ( onError ) {
 
-					ref -= inData[ inPtr ++ ];
-					if ( outPtr + len + 2 > outLength ) throw new Error( 'Output buffer is not large enough' );
-					if ( ref < 0 ) throw new Error( 'Invalid compressed data' );
-					if ( ref >= outPtr ) throw new Error( 'Invalid compressed data' );
-					do {
+				onError( e );
 
-						outData[ outPtr ++ ] = outData[ ref ++ ];
+			} else {
 
-					} while ( -- len + 2 );
+				console.error( e );
 
-				}
-
-			} while ( inPtr < inLength );
+			}
 
-			return outData;
+			scope.manager.itemError( url );
+			scope.manager.itemEnd( url );
 
 		}
 
-		function parseHeader( data ) {
-
-			const PCDheader = {};
-			const result1 = data.search( /[\r\n]DATA\s(\S*)\s/i );
-			const result2 = /[\r\n]DATA\s(\S*)\s/i.exec( data.slice( result1 - 1 ) );
+		this.manager.itemStart( url );
 
-			PCDheader.data = result2[ 1 ];
-			PCDheader.headerLen = result2[ 0 ].length + result1;
-			PCDheader.str = data.slice( 0, PCDheader.headerLen );
+		fetch( url, {
+			headers: new Headers( this.requestHeader ),
+			credentials: this.withCredentials ? 'include' : 'same-origin'
+		} ).then( async function ( response ) {
 
-			// remove comments
+			if ( response.ok === false ) {
 
-			PCDheader.str = PCDheader.str.replace( /#.*/gi, '' );
+				throw new Error( `fetch for "${response.url}" responded with ${response.status}: ${response.statusText}` );
 
-			// parse
+			}
 
-			PCDheader.version = /VERSION (.*)/i.exec( PCDheader.str );
-			PCDheader.fields = /FIELDS (.*)/i.exec( PCDheader.str );
-			PCDheader.size = /SIZE (.*)/i.exec( PCDheader.str );
-			PCDheader.type = /TYPE (.*)/i.exec( PCDheader.str );
-			PCDheader.count = /COUNT (.*)/i.exec( PCDheader.str );
-			PCDheader.width = /WIDTH (.*)/i.exec( PCDheader.str );
-			PCDheader.height = /HEIGHT (.*)/i.exec( PCDheader.str );
-			PCDheader.viewpoint = /VIEWPOINT (.*)/i.exec( PCDheader.str );
-			PCDheader.points = /POINTS (.*)/i.exec( PCDheader.str );
+			const parser = new PCDStreamParser( scope.littleEndian );
+			const total = parseInt( response.headers.get( 'Content-Length' ) || 0, 10 );
+			const lengthComputable = total > 0;
 
-			// evaluate
+			// the raw file, kept until the header shows whether the body can be streamed
 
-			if ( PCDheader.version !== null )
-				PCDheader.version = parseFloat( PCDheader.version[ 1 ] );
+			const raw = [];
 
-			PCDheader.fields = ( PCDheader.fields !== null ) ? PCDheader.fields[ 1 ].split( ' ' ) : [];
+			function handleChunk( chunk ) {
 
-			if ( PCDheader.type !== null )
-				PCDheader.type = PCDheader.type[ 1 ].split( ' ' );
+				if ( chunk !== null && chunk.count > 0 ) onChunk( chunk, parser.header );
 
-			if ( PCDheader.width !== null )
-				PCDheader.width = parseInt( PCDheader.width[ 1 ] );
+			}
 
-			if ( PCDheader.height !== null )
-				PCDheader.height = parseInt( PCDheader.height[ 1 ] );
+			function handleData( data ) {
 
-			if ( PCDheader.viewpoint !== null )
-				PCDheader.viewpoint = PCDheader.viewpoint[ 1 ];
+				const streamed = ( parser.header !== null && parser.header.data === 'binary' );
 
-			if ( PCDheader.points !== null )
-				PCDheader.points = parseInt( PCDheader.points[ 1 ], 10 );
+				if ( ! streamed ) raw.push( data );
 
-			if ( PCDheader.points === null )
-				PCDheader.points = PCDheader.width * PCDheader.height;
+				// ascii and binary_compressed bodies are only collected, see below
 
-			if ( PCDheader.size !== null ) {
+				if ( parser.header !== null && ! streamed ) return;
 
-				PCDheader.size = PCDheader.size[ 1 ].split( ' ' ).map( function ( x ) {
+				const chunk = parser.push( data );
 
-					return parseInt( x, 10 );
+				if ( parser.header !== null && parser.header.data === 'binary' ) raw.length = 0;
 
-				} );
+				handleChunk( chunk );
 
 			}
 
-			if ( PCDheader.count !== null ) {
-
-				PCDheader.count = PCDheader.count[ 1 ].split( ' ' ).map( function ( x ) {
+			if ( response.body === null || typeof response.body.getReader !== 'function' ) {
 
-					return parseInt( x, 10 );
+				// no ReadableStream support, report the whole file as a single chunk
 
-				} );
+				const data = new Uint8Array( await response.arrayBuffer() );
+				if ( onProgress ) onProgress( { loaded: data.length, total: data.length, lengthComputable: true } );
+				handleData( data );
 
 			} else {
 
-				PCDheader.count = [];
-
-				for ( let i = 0, l = PCDheader.fields.length; i < l; i ++ ) {
-
-					PCDheader.count.push( 1 );
-
-				}
-
-			}
-
-			PCDheader.offset = {};
-
-			let sizeSum = 0;
+				const reader = response.body.getReader();
+				let loaded = 0;
 
-			for ( let i = 0, l = PCDheader.fields.length; i < l; i ++ ) {
+				while ( true ) {
 
-				if ( PCDheader.data === 'ascii' ) {
+					const { done, value } = await reader.read();
 
-					PCDheader.offset[ PCDheader.fields[ i ] ] = i;
+					if ( done ) break;
 
-				} else {
-
-					PCDheader.offset[ PCDheader.fields[ i ] ] = sizeSum;
-					sizeSum += PCDheader.size[ i ] * PCDheader.count[ i ];
+					loaded += value.byteLength;
+					if ( onProgress ) onProgress( { loaded: loaded, total: total, lengthComputable: lengthComputable } );
+					handleData( value );
 
 				}
 
 			}
 
-			// for binary only
-
-			PCDheader.rowSize = sizeSum;
-
-			return PCDheader;
-
-		}
-
-		const textData = new TextDecoder().decode( data );
-
-		// parse header (always ascii format)
-
-		const PCDheader = parseHeader( textData );
+			if ( parser.header !== null && parser.header.data !== 'binary' ) {
 
-		// parse data
+				const points = await scope.parseAsync( concatChunks( raw ).buffer );
+				const attributes = points.geometry.attributes;
 
-		const position = [];
-		const normal = [];
-		const color = [];
-		const intensity = [];
-		const label = [];
+				handleChunk( { start: 0, count: ( attributes.position !== undefined ) ? attributes.position.count : 0, attributes: attributes } );
 
-		// ascii
+				onLoad( points );
 
-		if ( PCDheader.data === 'ascii' ) {
-
-			const offset = PCDheader.offset;
-			const pcdData = textData.slice( PCDheader.headerLen );
-			const lines = pcdData.split( '\n' );
-
-			for ( let i = 0, l = lines.length; i < l; i ++ ) {
-
-				if ( lines[ i ] === '' ) continue;
-
-				const line = lines[ i ].split( ' ' );
+			} else {
 
-				if ( offset.x !== undefined ) {
+				handleChunk( parser.finish() );
 
-					position.push( parseFloat( line[ offset.x ] ) );
-					position.push( parseFloat( line[ offset.y ] ) );
-					position.push( parseFloat( line[ offset.z ] ) );
+				onLoad( scope.createPoints( parser.getResult() ) );
 
-				}
+			}
 
-				if ( offset.rgb !== undefined ) {
+			scope.manager.itemEnd( url );
 
-					const rgb_field_index = PCDheader.fields.findIndex( ( field ) => field === 'rgb' );
-					const rgb_type = PCDheader.type[ rgb_field_index ];
+		} ).catch( handleError );
 
-					const float = parseFloat( line[ offset.rgb ] );
-					let rgb = float;
+	}
 
-					if ( rgb_type === 'F' ) {
+	parse( data ) {
 
-						// treat float values as int
-						// https://github.com/daavoo/pyntcloud/pull/204/commits/7b4205e64d5ed09abe708b2e91b615690c24d518
-						const farr = new Float32Array( 1 );
-						farr[ 0 ] = float;
-						rgb = new Int32Array( farr.buffer )[ 0 ];
+		return this.createPoints( parsePCD( data, this.littleEndian ) );
 
-					}
+	}
 
-					const r = ( rgb >> 16 ) & 0x0000ff;
-					const g = ( rgb >> 8 ) & 0x0000ff;
-					const b = ( rgb >> 0 ) & 0x0000ff;
-					color.push( r / 255, g / 255, b / 255 );
+	// resolves with what parse() returns; PCDWorkerLoader parses in a worker instead
 
-				}
+	parseAsync( data ) {
 
-				if ( offset.normal_x !== undefined ) {
+		return new Promise( ( resolve ) => resolve( this.parse( data ) ) );
 
-					normal.push( parseFloat( line[ offset.normal_x ] ) );
-					normal.push( parseFloat( line[ offset.normal_y ] ) );
-					normal.push( parseFloat( line[ offset.normal_z ] ) );
-
-				}
+	}
 
-				if ( offset.intensity !== undefined ) {
+	// builds the point cloud from the { header, attributes } result of parsePCD
 
-					intensity.push( parseFloat( line[ offset.intensity ] ) );
+	createPoints( pcd ) {
 
-				}
+		const attributes = pcd.attributes;
 
-				if ( offset.label !== undefined ) {
+		// build geometry
 
-					label.push( parseInt( line[ offset.label ] ) );
+		const geometry = new BufferGeometry();
 
-				}
+		for ( const name in attributes ) {
 
-			}
+			geometry.setAttribute( name, new BufferAttribute( attributes[ name ].array, attributes[ name ].itemSize ) );
 
 		}
 
-		// binary-compressed
-
-		// normally data in PCD files are organized as array of structures: XYZRGBXYZRGB
-		// binary compressed PCD files organize their data as structure of arrays: XXYYZZRGBRGB
-		// that requires a totally different parsing approach compared to non-compressed data
-
-		if ( PCDheader.data === 'binary_compressed' ) {
-
-			const sizes = new Uint32Array( data.slice( PCDheader.headerLen, PCDheader.headerLen + 8 ) );
-			const compressedSize = sizes[ 0 ];
-			const decompressedSize = sizes[ 1 ];
-			const decompressed = decompressLZF( new Uint8Array( data, PCDheader.headerLen + 8, compressedSize ), decompressedSize );
-			const dataview = new DataView( decompressed.buffer );
-
-			const offset = PCDheader.offset;
+		computeBoundingSphere( geometry );
 
-			for ( let i = 0; i < PCDheader.points; i ++ ) {
+		// build material
 
-				if ( offset.x !== undefined ) {
+		const material = new PointsMaterial( { size: 0.005 } );
 
-					const xIndex = PCDheader.fields.indexOf( 'x' );
-					const yIndex = PCDheader.fields.indexOf( 'y' );
-					const zIndex = PCDheader.fields.indexOf( 'z' );
-					position.push( dataview.getFloat32( ( PCDheader.points * offset.x ) + PCDheader.size[ xIndex ] * i, this.littleEndian ) );
-					position.push( dataview.getFloat32( ( PCDheader.points * offset.y ) + PCDheader.size[ yIndex ] * i, this.littleEndian ) );
-					position.push( dataview.getFloat32( ( PCDheader.points * offset.z ) + PCDheader.size[ zIndex ] * i, this.littleEndian ) );
+		if ( attributes.color !== undefined ) {
 
-				}
+			material.vertexColors = true;
 
-				if ( offset.rgb !== undefined ) {
+		}
 
-					const rgbIndex = PCDheader.fields.indexOf( 'rgb' );
-					color.push( dataview.getUint8( ( PCDheader.points * offset.rgb ) + PCDheader.size[ rgbIndex ] * i + 2 ) / 255.0 );
-					color.push( dataview.getUint8( ( PCDheader.points * offset.rgb ) + PCDheader.size[ rgbIndex ] * i + 1 ) / 255.0 );
-					color.push( dataview.getUint8( ( PCDheader.points * offset.rgb ) + PCDheader.size[ rgbIndex ] * i + 0 ) / 255.0 );
+		// build point cloud
 
-				}
+		const points = new Points( geometry, material );
+		const header = pcd.header;
 
-				if ( offset.normal_x !== undefined ) {
+		if ( header !== null ) {
 
-					const xIndex = PCDheader.fields.indexOf( 'normal_x' );
-					const yIndex = PCDheader.fields.indexOf( 'normal_y' );
-					const zIndex = PCDheader.fields.indexOf( 'normal_z' );
-					normal.push( dataview.getFloat32( ( PCDheader.points * offset.normal_x ) + PCDheader.size[ xIndex ] * i, this.littleEndian ) );
-					normal.push( dataview.getFloat32( ( PCDheader.points * offset.normal_y ) + PCDheader.size[ yIndex ] * i, this.littleEndian ) );
-					normal.push( dataview.getFloat32( ( PCDheader.points * offset.normal_z ) + PCDheader.size[ zIndex ] * i, this.littleEndian ) );
+			// organized clouds keep their grid layout: point ( row, col ) is at index row * width + col
 
-				}
+			const width = ( header.width !== null ) ? header.width : header.points;
+			const height = ( header.height !== null ) ? header.height : 1;
 
-				if ( offset.intensity !== undefined ) {
+			points.userData.width = width;
+			points.userData.height = height;
+			points.userData.organized = height > 1;
 
-					const intensityIndex = PCDheader.fields.indexOf( 'intensity' );
-					intensity.push( dataview.getFloat32( ( PCDheader.points * offset.intensity ) + PCDheader.size[ intensityIndex ] * i, this.littleEndian ) );
+			// VIEWPOINT stores the quaternion as w x y z
 
-				}
+			const viewpoint = header.viewpoint;
 
-				if ( offset.label !== undefined ) {
+			points.userData.viewpoint = {
+				position: new Vector3( viewpoint[ 0 ], viewpoint[ 1 ], viewpoint[ 2 ] ),
+				quaternion: new Quaternion( viewpoint[ 4 ], viewpoint[ 5 ], viewpoint[ 6 ], viewpoint[ 3 ] ).normalize()
+			};
 
-					const labelIndex = PCDheader.fields.indexOf( 'label' );
-					label.push( dataview.getInt32( ( PCDheader.points * offset.label ) + PCDheader.size[ labelIndex ] * i, this.littleEndian ) );
+			if ( this.applyViewpoint ) {
 
-				}
+				points.position.copy( points.userData.viewpoint.position );
+				points.quaternion.copy( points.userData.viewpoint.quaternion );
 
 			}
 
 		}
 
-		// binary
-
-		if ( PCDheader.data === 'binary' ) {
+		return points;
 
-			const dataview = new DataView( data, PCDheader.headerLen );
-			const offset = PCDheader.offset;
-
-			for ( let i = 0, row = 0; i < PCDheader.points; i ++, row += PCDheader.rowSize ) {
+	}
 
-				if ( offset.x !== undefined ) {
+}
 
-					position.push( dataview.getFloat32( row + offset.x, this.littleEndian ) );
-					position.push( dataview.getFloat32( row + offset.y, this.littleEndian ) );
-					position.push( dataview.getFloat32( row + offset.z, this.littleEndian ) );
+// like BufferGeometry.computeBoundingSphere(), but skips the NaN points organized clouds use as placeholders
 
-				}
+function computeBoundingSphere( geometry ) {
 
-				if ( offset.rgb !== undefined ) {
+	const position = geometry.getAttribute( 'position' );
+	const sphere = new Sphere();
 
-					color.push( dataview.getUint8( row + offset.rgb + 2 ) / 255.0 );
-					color.push( dataview.getUint8( row + offset.rgb + 1 ) / 255.0 );
-					color.push( dataview.getUint8( row + offset.rgb + 0 ) / 255.0 );
+	if ( position !== undefined ) {
 
-				}
+		const box = new Box3();
+		const point = new Vector3();
 
-				if ( offset.normal_x !== undefined ) {
+		for ( let i = 0; i < position.count; i ++ ) {
 
-					normal.push( dataview.getFloat32( row + offset.normal_x, this.littleEndian ) );
-					normal.push( dataview.getFloat32( row + offset.normal_y, this.littleEndian ) );
-					normal.push( dataview.getFloat32( row + offset.normal_z, this.littleEndian ) );
+			point.fromBufferAttribute( position, i );
+			if ( isFinitePoint( point ) ) box.expandByPoint( point );
 
-				}
+		}
 
-				if ( offset.intensity !== undefined ) {
+		if ( box.isEmpty() === false ) {
 
-					intensity.push( dataview.getFloat32( row + offset.intensity, this.littleEndian ) );
+			box.getCenter( sphere.center );
 
-				}
+			let maxRadiusSq = 0;
 
-				if ( offset.label !== undefined ) {
+			for ( let i = 0; i < position.count; i ++ ) {
 
-					label.push( dataview.getInt32( row + offset.label, this.littleEndian ) );
-
-				}
+				point.fromBufferAttribute( position, i );
+				if ( isFinitePoint( point ) ) maxRadiusSq = Math.max( maxRadiusSq, sphere.center.distanceToSquared( point ) );
 
 			}
 
+			sphere.radius = Math.sqrt( maxRadiusSq );
+
 		}
 
-		// build geometry
+	}
 
-		const geometry = new BufferGeometry();
+	geometry.boundingSphere = sphere;
 
-		if ( position.length > 0 ) geometry.setAttribute( 'position', new Float32BufferAttribute( position, 3 ) );
-		if ( normal.length > 0 ) geometry.setAttribute( 'normal', new Float32BufferAttribute( normal, 3 ) );
-		if ( color.length > 0 ) geometry.setAttribute( 'color', new Float32BufferAttribute( color, 3 ) );
-		if ( intensity.length > 0 ) geometry.setAttribute( 'intensity', new Float32BufferAttribute( intensity, 1 ) );
-		if ( label.length > 0 ) geometry.setAttribute( 'label', new Int32BufferAttribute( label, 1 ) );
+}
 
-		geometry.computeBoundingSphere();
+function isFinitePoint( point ) {
 
-		// build material
+	return Number.isFinite( point.x ) && Number.isFinite( point.y ) && Number.isFinite( point.z );
 
-		const material = new PointsMaterial( { size: 0.005 } );
+}
 
-		if ( color.length > 0 ) {
+function concatChunks( chunks ) {
 
-			material.vertexColors = true;
+	const bytes = new Uint8Array( chunks.reduce( ( sum, chunk ) => sum + chunk.length, 0 ) );
 
-		}
+	let offset = 0;
 
-		// build point cloud
+	for ( let i = 0; i < chunks.length; i ++ ) {
 
-		return new Points( geometry, material );
+		bytes.set( chunks[ i ], offset );
+		offset += chunks[ i ].length;
 
 	}
 
+	return bytes;
+
 }
 
-export { PCDLoader };
\ No newline at end of file
+export { PCDLoader, PCDParseError };
\ No newline at end of file
@@ -0,0 +1,953 @@
+/**
+ * Parses the PCD file format into plain typed arrays.
+ *
+ * Kept free of three.js imports so it can run inside a Web Worker, where import maps do not apply.
+ * PCDLoader wraps the result into a BufferGeometry.
+ *
+ * Returns { header, attributes } where attributes maps a name to { array, itemSize }.
+ * header.viewpoint is the sensor pose [ tx, ty, tz, qw, qx, qy, qz ]; organized clouds
+ * (height > 1) keep their row-major grid order, invalid points stay in place as NaN.
+ * Malformed headers and bodies throw a PCDParseError naming the problem.
+ */
+
+/**
+ * Error thrown for PCD data that cannot be parsed. code identifies the problem:
+ *
+ * 'MISSING_ENTRY'           a required header entry (DATA, FIELDS, SIZE, TYPE, POINTS) is absent
+ * 'INVALID_ENTRY'           a header entry has a malformed or out of range value (WIDTH, VIEWPOINT, ...)
+ * 'LENGTH_MISMATCH'         SIZE, TYPE or COUNT does not list one value per field
+ * 'MISSING_FIELD'           only some components of x y z or normal_x normal_y normal_z are present
+ * 'UNSUPPORTED_TYPE'        a TYPE / SIZE combination that cannot be read
+ * 'UNSUPPORTED_DATA'        DATA is not ascii, binary or binary_compressed
+ * 'POINT_COUNT_MISMATCH'    POINTS disagrees with WIDTH * HEIGHT or with the rows in the body
+ * 'MALFORMED_ROW'           an ascii row has fewer values than the fields require
+ * 'TRUNCATED_BODY'          the body ends before all points are stored
+ * 'INVALID_COMPRESSED_DATA' the binary_compressed body cannot be decompressed
+ */
+
+class PCDParseError extends Error {
+
+	constructor( code, message ) {
+
+		super( message );
+
+		this.name = 'PCDParseError';
+		this.code = code;
+
+	}
+
+}
+
+// from https://gitlab.com/taketwo/three-pcd-loader/blob/master/decompress-lzf.js
+
+function decompressLZF( inData, outLength ) {
+
+	const inLength = inData.length;
+	const outData = new Uint8Array( outLength );
+	let inPtr = 0;
+	let outPtr = 0;
+	let ctrl;
+	let len;
+	let ref;
+	do {
+
+		ctrl = inData[ inPtr ++ ];
+		if ( ctrl < ( 1 << 5 ) ) {
+
+			ctrl ++;
+			if ( outPtr + ctrl > outLength ) throw new Error( 'Output buffer is not large enough' );
+			if ( inPtr + ctrl > inLength ) throw new Error( 'Invalid compressed data' );
+			do {
+
+				outData[ outPtr ++ ] = inData[ inPtr ++ ];
+
+			} while ( -- ctrl );
+
+		} else {
+
+			len = ctrl >> 5;
+			ref = outPtr - ( ( ctrl & 0x1f ) << 8 ) - 1;
+			if ( inPtr >= inLength ) throw new Error( 'Invalid compressed data' );
+			if ( len === 7 ) {
+
+				len += inData[ inPtr ++ ];
+				if ( inPtr >= inLength ) throw new Error( 'Invalid compressed data' );
+
+			}
+
+			ref -= inData[ inPtr ++ ];
+			if ( outPtr + len + 2 > outLength ) throw new Error( 'Output buffer is not large enough' );
+			if ( ref < 0 ) throw new Error( 'Invalid compressed data' );
+			if ( ref >= outPtr ) throw new Error( 'Invalid compressed data' );
+			do {
+
+				outData[ outPtr ++ ] = outData[ ref ++ ];
+
+			} while ( -- len + 2 );
+
+		}
+
+	} while ( inPtr < inLength );
+
+	return outData;
+
+}
+
+// read a single scalar of the given PCD TYPE/SIZE from a binary buffer
+
+function readValue( dataview, byteOffset, type, size, littleEndian ) {
+
+	if ( type === 'F' ) {
+
+		if ( size === 4 ) return dataview.getFloat32( byteOffset, littleEndian );
+		if ( size === 8 ) return dataview.getFloat64( byteOffset, littleEndian );
+
+	} else if ( type === 'U' ) {
+
+		if ( size === 1 ) return dataview.getUint8( byteOffset );
+		if ( size === 2 ) return dataview.getUint16( byteOffset, littleEndian );
+		if ( size === 4 ) return dataview.getUint32( byteOffset, littleEndian );
+		if ( size === 8 ) return Number( dataview.getBigUint64( byteOffset, littleEndian ) );
+
+	} else if ( type === 'I' ) {
+
+		if ( size === 1 ) return dataview.getInt8( byteOffset );
+		if ( size === 2 ) return dataview.getInt16( byteOffset, littleEndian );
+		if ( size === 4 ) return dataview.getInt32( byteOffset, littleEndian );
+		if ( size === 8 ) return Number( dataview.getBigInt64( byteOffset, littleEndian ) );
+
+	}
+
+	throw new PCDParseError( 'UNSUPPORTED_TYPE', 'THREE.PCDLoader: Unsupported TYPE ' + type + ' with SIZE ' + size + '.' );
+
+}
+
+// integer color channels use the full range of their type, float channels are expected in [0, 1]
+
+function colorScale( type, size ) {
+
+	return ( type === 'F' ) ? 1 : 1 / ( Math.pow( 2, 8 * size ) - 1 );
+
+}
+
+// TYPE, SIZE and COUNT of a named field
+
+function getField( header, name ) {
+
+	const index = header.fields.indexOf( name );
+
+	return {
+		type: header.type !== null ? header.type[ index ] : 'F',
+		size: header.size !== null ? header.size[ index ] : 4,
+		count: header.count[ index ]
+	};
+
+}
+
+function parseHeader( data ) {
+
+	const PCDheader = {};
+	const result1 = data.search( /[\r\n]DATA\s(\S*)\s/i );
+
+	if ( result1 === - 1 ) {
+
+		throw new PCDParseError( 'MISSING_ENTRY', 'THREE.PCDLoader: Header has no DATA entry.' );
+
+	}
+
+	const result2 = /[\r\n]DATA\s(\S*)\s/i.exec( data.slice( result1 - 1 ) );
+
+	PCDheader.data = result2[ 1 ];
+	PCDheader.headerLen = result2[ 0 ].length + result1;
+	PCDheader.str = data.slice( 0, PCDheader.headerLen );
+
+	// remove comments
+
+	PCDheader.str = PCDheader.str.replace( /#.*/gi, '' );
+
+	// parse
+
+	PCDheader.version = /VERSION (.*)/i.exec( PCDheader.str );
+	PCDheader.fields = /FIELDS (.*)/i.exec( PCDheader.str );
+	PCDheader.size = /SIZE (.*)/i.exec( PCDheader.str );
+	PCDheader.type = /TYPE (.*)/i.exec( PCDheader.str );
+	PCDheader.count = /COUNT (.*)/i.exec( PCDheader.str );
+	PCDheader.width = /WIDTH (.*)/i.exec( PCDheader.str );
+	PCDheader.height = /HEIGHT (.*)/i.exec( PCDheader.str );
+	PCDheader.viewpoint = /VIEWPOINT (.*)/i.exec( PCDheader.str );
+	PCDheader.points = /POINTS (.*)/i.exec( PCDheader.str );
+
+	// evaluate
+
+	if ( PCDheader.version !== null )
+		PCDheader.version = parseFloat( PCDheader.version[ 1 ] );
+
+	PCDheader.fields = ( PCDheader.fields !== null ) ? splitEntry( PCDheader.fields[ 1 ] ) : [];
+
+	if ( PCDheader.type !== null )
+		PCDheader.type = splitEntry( PCDheader.type[ 1 ] );
+
+	if ( PCDheader.width !== null )
+		PCDheader.width = parseInt( PCDheader.width[ 1 ] );
+
+	if ( PCDheader.height !== null )
+		PCDheader.height = parseInt( PCDheader.height[ 1 ] );
+
+	// sensor pose, translation followed by a wxyz quaternion; identity when absent
+
+	if ( PCDheader.viewpoint !== null )
+		PCDheader.viewpoint = splitEntry( PCDheader.viewpoint[ 1 ] ).map( parseFloat );
+	else
+		PCDheader.viewpoint = [ 0, 0, 0, 1, 0, 0, 0 ];
+
+	if ( PCDheader.points !== null )
+		PCDheader.points = parseInt( PCDheader.points[ 1 ], 10 );
+
+	if ( PCDheader.points === null && PCDheader.width !== null && PCDheader.height !== null )
+		PCDheader.points = PCDheader.width * PCDheader.height;
+
+	if ( PCDheader.size !== null ) {
+
+		PCDheader.size = splitEntry( PCDheader.size[ 1 ] ).map( function ( x ) {
+
+			return parseInt( x, 10 );
+
+		} );
+
+	}
+
+	if ( PCDheader.count !== null ) {
+
+		PCDheader.count = splitEntry( PCDheader.count[ 1 ] ).map( function ( x ) {
+
+			return parseInt( x, 10 );
+
+		} );
+
+	} else {
+
+		PCDheader.count = [];
+
+		for ( let i = 0, l = PCDheader.fields.length; i < l; i ++ ) {
+
+			PCDheader.count.push( 1 );
+
+		}
+
+	}
+
+	validateHeader( PCDheader );
+
+	PCDheader.offset = {};
+
+	let sizeSum = 0;
+	let countSum = 0;
+
+	for ( let i = 0, l = PCDheader.fields.length; i < l; i ++ ) {
+
+		if ( PCDheader.data === 'ascii' ) {
+
+			// ascii offsets are column indices, fields with COUNT > 1 span several columns
+
+			PCDheader.offset[ PCDheader.fields[ i ] ] = countSum;
+			countSum += PCDheader.count[ i ];
+
+		} else {
+
+			PCDheader.offset[ PCDheader.fields[ i ] ] = sizeSum;
+			sizeSum += PCDheader.size[ i ] * PCDheader.count[ i ];
+
+		}
+
+	}
+
+	// for binary only
+
+	PCDheader.rowSize = sizeSum;
+
+	return PCDheader;
+
+}
+
+// header entries are separated by spaces, trailing whitespace and \r must not add empty values
+
+function splitEntry( value ) {
+
+	return value.trim().split( /\s+/ ).filter( ( x ) => x !== '' );
+
+}
+
+// checks the parsed header for everything the decoders rely on
+
+function validateHeader( PCDheader ) {
+
+	const fields = PCDheader.fields;
+
+	if ( [ 'ascii', 'binary', 'binary_compressed' ].includes( PCDheader.data ) === false ) {
+
+		throw new PCDParseError( 'UNSUPPORTED_DATA', 'THREE.PCDLoader: Unsupported DATA "' + PCDheader.data + '", expected ascii, binary or binary_compressed.' );
+
+	}
+
+	if ( fields.length === 0 ) {
+
+		throw new PCDParseError( 'MISSING_ENTRY', 'THREE.PCDLoader: Header has no FIELDS entry.' );
+
+	}
+
+	// binary rows are laid out by SIZE, ascii files may omit SIZE and TYPE
+
+	if ( PCDheader.data !== 'ascii' ) {
+
+		if ( PCDheader.size === null ) throw new PCDParseError( 'MISSING_ENTRY', 'THREE.PCDLoader: Header has no SIZE entry, required for ' + PCDheader.data + ' data.' );
+		if ( PCDheader.type === null ) throw new PCDParseError( 'MISSING_ENTRY', 'THREE.PCDLoader: Header has no TYPE entry, required for ' + PCDheader.data + ' data.' );
+
+	}
+
+	const lists = { SIZE: PCDheader.size, TYPE: PCDheader.type, COUNT: PCDheader.count };
+
+	for ( const entry in lists ) {
+
+		if ( lists[ entry ] !== null && lists[ entry ].length !== fields.length ) {
+
+			throw new PCDParseError( 'LENGTH_MISMATCH', 'THREE.PCDLoader: ' + entry + ' lists ' + lists[ entry ].length + ' values for ' + fields.length + ' FIELDS.' );
+
+		}
+
+	}
+
+	for ( let i = 0; i < fields.length; i ++ ) {
+
+		const count = PCDheader.count[ i ];
+
+		if ( Number.isInteger( count ) === false || count < 1 ) {
+
+			throw new PCDParseError( 'INVALID_ENTRY', 'THREE.PCDLoader: Invalid COUNT "' + count + '" for field ' + fields[ i ] + '.' );
+
+		}
+
+		if ( PCDheader.size === null || PCDheader.type === null ) continue;
+
+		const type = PCDheader.type[ i ];
+		const size = PCDheader.size[ i ];
+		const sizes = ( type === 'F' ) ? [ 4, 8 ] : [ 1, 2, 4, 8 ];
+
+		if ( [ 'F', 'U', 'I' ].includes( type ) === false || sizes.includes( size ) === false ) {
+
+			throw new PCDParseError( 'UNSUPPORTED_TYPE', 'THREE.PCDLoader: Unsupported TYPE ' + type + ' with SIZE ' + size + ' for field ' + fields[ i ] + '.' );
+
+		}
+
+	}
+
+	// the decoders read these components together
+
+	for ( const group of [ [ 'x', 'y', 'z' ], [ 'normal_x', 'normal_y', 'normal_z' ] ] ) {
+
+		const present = group.filter( ( name ) => fields.includes( name ) );
+
+		if ( present.length > 0 && present.length < group.length ) {
+
+			const missing = group.filter( ( name ) => fields.includes( name ) === false );
+			throw new PCDParseError( 'MISSING_FIELD', 'THREE.PCDLoader: FIELDS has ' + present.join( ' ' ) + ' but not ' + missing.join( ' ' ) + '.' );
+
+		}
+
+	}
+
+	for ( const entry of [ 'width', 'height', 'points' ] ) {
+
+		const value = PCDheader[ entry ];
+
+		if ( value !== null && ( Number.isInteger( value ) === false || value < 0 ) ) {
+
+			throw new PCDParseError( 'INVALID_ENTRY', 'THREE.PCDLoader: Invalid ' + entry.toUpperCase() + ' "' + value + '".' );
+
+		}
+
+	}
+
+	const viewpoint = PCDheader.viewpoint;
+
+	if ( viewpoint.length !== 7 || viewpoint.every( Number.isFinite ) === false ) {
+
+		throw new PCDParseError( 'INVALID_ENTRY', 'THREE.PCDLoader: Invalid VIEWPOINT "' + viewpoint.join( ' ' ) + '", expected tx ty tz qw qx qy qz.' );
+
+	}
+
+	if ( PCDheader.points === null ) {
+
+		throw new PCDParseError( 'MISSING_ENTRY', 'THREE.PCDLoader: Header has neither POINTS nor WIDTH and HEIGHT entries.' );
+
+	}
+
+	if ( PCDheader.width !== null && PCDheader.height !== null && PCDheader.width * PCDheader.height !== PCDheader.points ) {
+
+		throw new PCDParseError( 'POINT_COUNT_MISMATCH', 'THREE.PCDLoader: POINTS ' + PCDheader.points + ' disagrees with WIDTH * HEIGHT = ' + PCDheader.width + ' * ' + PCDheader.height + '.' );
+
+	}
+
+}
+
+// per-field value lists that the decoders below append to
+
+function createColumns( PCDheader ) {
+
+	// every other field is passed through as a named attribute, '_' marks PCL padding
+
+	const knownFields = [ 'x', 'y', 'z', 'rgb', 'rgba', 'normal_x', 'normal_y', 'normal_z', 'intensity', 'label', '_' ];
+	const custom = {};
+
+	for ( let i = 0, l = PCDheader.fields.length; i < l; i ++ ) {
+
+		const name = PCDheader.fields[ i ];
+
+		if ( knownFields.includes( name ) === false ) custom[ name ] = [];
+
+	}
+
+	const customFields = Object.keys( custom ).map( ( name ) => Object.assign( { name: name }, getField( PCDheader, name ) ) );
+
+	// PointXYZRGBA clouds name the packed color field 'rgba', its alpha byte is not used for rendering
+
+	let colorName = null;
+
+	if ( PCDheader.offset.rgb !== undefined ) colorName = 'rgb';
+	else if ( PCDheader.offset.rgba !== undefined ) colorName = 'rgba';
+
+	return {
+		position: [],
+		normal: [],
+		color: [],
+		intensity: [],
+		label: [],
+		custom: custom,
+		customFields: customFields,
+		colorName: colorName
+	};
+
+}
+
+function decodeAscii( PCDheader, columns, pcdData ) {
+
+	const { position, normal, color, intensity, label, custom, customFields, colorName } = columns;
+
+	const offset = PCDheader.offset;
+	const lines = pcdData.split( '\n' );
+
+	const colorField = ( colorName !== null ) ? getField( PCDheader, colorName ) : null;
+	const columnCount = PCDheader.count.reduce( ( sum, count ) => sum + count, 0 );
+
+	let rows = 0;
+
+	for ( let i = 0, l = lines.length; i < l; i ++ ) {
+
+		if ( lines[ i ].trim() === '' ) continue;
+
+		const line = lines[ i ].trim().split( /\s+/ );
+
+		rows ++;
+
+		if ( rows > PCDheader.points ) {
+
+			throw new PCDParseError( 'POINT_COUNT_MISMATCH', 'THREE.PCDLoader: Body has more rows than the ' + PCDheader.points + ' POINTS in the header.' );
+
+		}
+
+		if ( line.length < columnCount ) {
+
+			throw new PCDParseError( 'MALFORMED_ROW', 'THREE.PCDLoader: Row ' + rows + ' has ' + line.length + ' values, expected ' + columnCount + '.' );
+
+		}
+
+		if ( offset.x !== undefined ) {
+
+			position.push( parseFloat( line[ offset.x ] ) );
+			position.push( parseFloat( line[ offset.y ] ) );
+			position.push( parseFloat( line[ offset.z ] ) );
+
+		}
+
+		if ( colorName !== null ) {
+
+			if ( colorField.count >= 3 ) {
+
+				// one column per channel
+
+				const scale = colorScale( colorField.type, colorField.size );
+				color.push( parseFloat( line[ offset[ colorName ] ] ) * scale );
+				color.push( parseFloat( line[ offset[ colorName ] + 1 ] ) * scale );
+				color.push( parseFloat( line[ offset[ colorName ] + 2 ] ) * scale );
+
+			} else {
+
+				const float = parseFloat( line[ offset[ colorName ] ] );
+				let rgb = float;
+
+				if ( colorField.type === 'F' ) {
+
+					// treat float values as int
+					// https://github.com/daavoo/pyntcloud/pull/204/commits/7b4205e64d5ed09abe708b2e91b615690c24d518
+					const farr = new Float32Array( 1 );
+					farr[ 0 ] = float;
+					rgb = new Int32Array( farr.buffer )[ 0 ];
+
+				}
+
+				const r = ( rgb >> 16 ) & 0x0000ff;
+				const g = ( rgb >> 8 ) & 0x0000ff;
+				const b = ( rgb >> 0 ) & 0x0000ff;
+				color.push( r / 255, g / 255, b / 255 );
+
+			}
+
+		}
+
+		if ( offset.normal_x !== undefined ) {
+
+			normal.push( parseFloat( line[ offset.normal_x ] ) );
+			normal.push( parseFloat( line[ offset.normal_y ] ) );
+			normal.push( parseFloat( line[ offset.normal_z ] ) );
+
+		}
+
+		if ( offset.intensity !== undefined ) {
+
+			intensity.push( parseFloat( line[ offset.intensity ] ) );
+
+		}
+
+		if ( offset.label !== undefined ) {
+
+			label.push( parseInt( line[ offset.label ], 10 ) );
+
+		}
+
+		for ( let f = 0; f < customFields.length; f ++ ) {
+
+			const field = customFields[ f ];
+
+			for ( let j = 0; j < field.count; j ++ ) {
+
+				custom[ field.name ].push( parseFloat( line[ offset[ field.name ] + j ] ) );
+
+			}
+
+		}
+
+	}
+
+	if ( rows < PCDheader.points ) {
+
+		throw new PCDParseError( 'TRUNCATED_BODY', 'THREE.PCDLoader: Body ends after ' + rows + ' of ' + PCDheader.points + ' points.' );
+
+	}
+
+}
+
+// decodes points [start, end) from a binary or decompressed binary_compressed body,
+// componentOffset( name, field, i, j ) gives the byte offset of component j of point i
+
+function decodeBinary( PCDheader, columns, dataview, componentOffset, start, end, littleEndian ) {
+
+	const { position, normal, color, intensity, label, custom, customFields, colorName } = columns;
+
+	const offset = PCDheader.offset;
+
+	const xField = ( offset.x !== undefined ) ? getField( PCDheader, 'x' ) : null;
+	const yField = ( offset.y !== undefined ) ? getField( PCDheader, 'y' ) : null;
+	const zField = ( offset.z !== undefined ) ? getField( PCDheader, 'z' ) : null;
+	const colorField = ( colorName !== null ) ? getField( PCDheader, colorName ) : null;
+	const nxField = ( offset.normal_x !== undefined ) ? getField( PCDheader, 'normal_x' ) : null;
+	const nyField = ( offset.normal_y !== undefined ) ? getField( PCDheader, 'normal_y' ) : null;
+	const nzField = ( offset.normal_z !== undefined ) ? getField( PCDheader, 'normal_z' ) : null;
+	const intensityField = ( offset.intensity !== undefined ) ? getField( PCDheader, 'intensity' ) : null;
+	const labelField = ( offset.label !== undefined ) ? getField( PCDheader, 'label' ) : null;
+
+	for ( let i = start; i < end; i ++ ) {
+
+		if ( offset.x !== undefined ) {
+
+			position.push( readValue( dataview, componentOffset( 'x', xField, i, 0 ), xField.type, xField.size, littleEndian ) );
+			position.push( readValue( dataview, componentOffset( 'y', yField, i, 0 ), yField.type, yField.size, littleEndian ) );
+			position.push( readValue( dataview, componentOffset( 'z', zField, i, 0 ), zField.type, zField.size, littleEndian ) );
+
+		}
+
+		if ( colorName !== null ) {
+
+			if ( colorField.count >= 3 ) {
+
+				const scale = colorScale( colorField.type, colorField.size );
+				color.push( readValue( dataview, componentOffset( colorName, colorField, i, 0 ), colorField.type, colorField.size, littleEndian ) * scale );
+				color.push( readValue( dataview, componentOffset( colorName, colorField, i, 1 ), colorField.type, colorField.size, littleEndian ) * scale );
+				color.push( readValue( dataview, componentOffset( colorName, colorField, i, 2 ), colorField.type, colorField.size, littleEndian ) * scale );
+
+			} else {
+
+				const colorOffset = componentOffset( colorName, colorField, i, 0 );
+				color.push( dataview.getUint8( colorOffset + 2 ) / 255.0 );
+				color.push( dataview.getUint8( colorOffset + 1 ) / 255.0 );
+				color.push( dataview.getUint8( colorOffset + 0 ) / 255.0 );
+
+			}
+
+		}
+
+		if ( offset.normal_x !== undefined ) {
+
+			normal.push( readValue( dataview, componentOffset( 'normal_x', nxField, i, 0 ), nxField.type, nxField.size, littleEndian ) );
+			normal.push( readValue( dataview, componentOffset( 'normal_y', nyField, i, 0 ), nyField.type, nyField.size, littleEndian ) );
+			normal.push( readValue( dataview, componentOffset( 'normal_z', nzField, i, 0 ), nzField.type, nzField.size, littleEndian ) );
+
+		}
+
+		if ( offset.intensity !== undefined ) {
+
+			intensity.push( readValue( dataview, componentOffset( 'intensity', intensityField, i, 0 ), intensityField.type, intensityField.size, littleEndian ) );
+
+		}
+
+		if ( offset.label !== undefined ) {
+
+			label.push( readValue( dataview, componentOffset( 'label', labelField, i, 0 ), labelField.type, labelField.size, littleEndian ) );
+
+		}
+
+		for ( let f = 0; f < customFields.length; f ++ ) {
+
+			const field = customFields[ f ];
+
+			for ( let j = 0; j < field.count; j ++ ) {
+
+				custom[ field.name ].push( readValue( dataview, componentOffset( field.name, field, i, j ), field.type, field.size, littleEndian ) );
+
+			}
+
+		}
+
+	}
+
+}
+
+// normally data in PCD files are organized as array of structures: XYZRGBXYZRGB
+// binary compressed PCD files organize their data as structure of arrays: XXYYZZRGBRGB
+// both layouts are decoded by decodeBinary, only the byte offset of a value differs
+
+function decodeCompressed( PCDheader, columns, body, littleEndian ) {
+
+	const offset = PCDheader.offset;
+	const points = PCDheader.points;
+
+	if ( body.length < 8 ) {
+
+		throw new PCDParseError( 'TRUNCATED_BODY', 'THREE.PCDLoader: Body ends before the binary_compressed size fields.' );
+
+	}
+
+	const sizes = new DataView( body.buffer, body.byteOffset, 8 );
+	const compressedSize = sizes.getUint32( 0, true );
+	const decompressedSize = sizes.getUint32( 4, true );
+
+	if ( body.length - 8 < compressedSize ) {
+
+		throw new PCDParseError( 'TRUNCATED_BODY', 'THREE.PCDLoader: Body holds ' + ( body.length - 8 ) + ' compressed bytes, expected ' + compressedSize + '.' );
+
+	}
+
+	if ( decompressedSize !== points * PCDheader.rowSize ) {
+
+		throw new PCDParseError( 'POINT_COUNT_MISMATCH', 'THREE.PCDLoader: Decompressed size ' + decompressedSize + ' does not match ' + points + ' POINTS of ' + PCDheader.rowSize + ' bytes.' );
+
+	}
+
+	// an empty cloud is written with no compressed bytes at all, there is nothing to decode
+
+	if ( decompressedSize === 0 ) return;
+
+	let decompressed;
+
+	try {
+
+		decompressed = decompressLZF( new Uint8Array( body.buffer, body.byteOffset + 8, compressedSize ), decompressedSize );
+
+	} catch ( e ) {
+
+		throw new PCDParseError( 'INVALID_COMPRESSED_DATA', 'THREE.PCDLoader: Cannot decompress body: ' + e.message + '.' );
+
+	}
+
+	const dataview = new DataView( decompressed.buffer );
+
+	const componentOffset = ( name, field, i, j ) => ( points * offset[ name ] ) + ( i * field.count + j ) * field.size;
+
+	decodeBinary( PCDheader, columns, dataview, componentOffset, 0, points, littleEndian );
+
+}
+
+// typed arrays, ready to be transferred or wrapped in BufferAttributes
+
+function createAttributes( columns ) {
+
+	const { position, normal, color, intensity, label, custom, customFields } = columns;
+
+	const attributes = {};
+
+	if ( position.length > 0 ) attributes.position = { array: new Float32Array( position ), itemSize: 3 };
+	if ( normal.length > 0 ) attributes.normal = { array: new Float32Array( normal ), itemSize: 3 };
+	if ( color.length > 0 ) attributes.color = { array: new Float32Array( color ), itemSize: 3 };
+	if ( intensity.length > 0 ) attributes.intensity = { array: new Float32Array( intensity ), itemSize: 1 };
+	if ( label.length > 0 ) attributes.label = { array: new Int32Array( label ), itemSize: 1 };
+
+	for ( let f = 0; f < customFields.length; f ++ ) {
+
+		const field = customFields[ f ];
+		const values = custom[ field.name ];
+
+		if ( values.length === 0 ) continue;
+
+		if ( field.type === 'I' && field.size <= 4 ) {
+
+			attributes[ field.name ] = { array: new Int32Array( values ), itemSize: field.count };
+
+		} else if ( field.type === 'U' && field.size <= 4 ) {
+
+			attributes[ field.name ] = { array: new Uint32Array( values ), itemSize: field.count };
+
+		} else {
+
+			attributes[ field.name ] = { array: new Float32Array( values ), itemSize: field.count };
+
+		}
+
+	}
+
+	return attributes;
+
+}
+
+function parsePCD( data, littleEndian = true ) {
+
+	const textData = new TextDecoder().decode( data );
+
+	// parse header (always ascii format)
+
+	const PCDheader = parseHeader( textData );
+
+	// parse data
+
+	const columns = createColumns( PCDheader );
+
+	if ( PCDheader.data === 'ascii' ) {
+
+		decodeAscii( PCDheader, columns, textData.slice( PCDheader.headerLen ) );
+
+	} else if ( PCDheader.data === 'binary_compressed' ) {
+
+		decodeCompressed( PCDheader, columns, new Uint8Array( data, PCDheader.headerLen ), littleEndian );
+
+	} else if ( PCDheader.data === 'binary' ) {
+
+		const byteLength = data.byteLength - PCDheader.headerLen;
+
+		if ( byteLength < PCDheader.points * PCDheader.rowSize ) {
+
+			throw new PCDParseError( 'TRUNCATED_BODY', 'THREE.PCDLoader: Body holds ' + byteLength + ' bytes, expected ' + ( PCDheader.points * PCDheader.rowSize ) + ' for ' + PCDheader.points + ' points.' );
+
+		}
+
+		const dataview = new DataView( data, PCDheader.headerLen );
+		const componentOffset = ( name, field, i, j ) => ( i * PCDheader.rowSize ) + PCDheader.offset[ name ] + j * field.size;
+
+		decodeBinary( PCDheader, columns, dataview, componentOffset, 0, PCDheader.points, littleEndian );
+
+	}
+
+	return { header: PCDheader, attributes: createAttributes( columns ) };
+
+}
+
+/**
+ * Incremental counterpart of parsePCD for data arriving in chunks, e.g. from a ReadableStream.
+ *
+ * push() returns the points completed by each chunk of a binary file as
+ * { start, count, attributes }. ascii and binary_compressed bodies cannot be
+ * decoded before they are complete, so they are parsed by finish().
+ */
+
+class PCDStreamParser {
+
+	constructor( littleEndian = true ) {
+
+		this.littleEndian = littleEndian;
+		this.header = null;
+		this.decoded = 0;
+
+		this._pending = new Uint8Array( 0 );
+		this._bodyChunks = [];
+		this._results = [];
+
+	}
+
+	push( chunk ) {
+
+		if ( this.header === null ) {
+
+			this._pending = concatBytes( [ this._pending, chunk ] );
+
+			const textData = new TextDecoder().decode( this._pending );
+
+			if ( /[\r\n]DATA\s(\S*)\s/i.test( textData ) === false ) return null;
+
+			this.header = parseHeader( textData );
+
+			const body = this._pending.slice( this.header.headerLen );
+			this._pending = new Uint8Array( 0 );
+
+			return this.push( body );
+
+		}
+
+		if ( this.header.data !== 'binary' ) {
+
+			this._bodyChunks.push( chunk );
+			return null;
+
+		}
+
+		const PCDheader = this.header;
+		const pending = concatBytes( [ this._pending, chunk ] );
+		const rows = Math.min( Math.floor( pending.length / PCDheader.rowSize ), PCDheader.points - this.decoded );
+
+		if ( rows <= 0 ) {
+
+			this._pending = pending;
+			return null;
+
+		}
+
+		const start = this.decoded;
+		const columns = createColumns( PCDheader );
+		const dataview = new DataView( pending.buffer, pending.byteOffset, rows * PCDheader.rowSize );
+		const componentOffset = ( name, field, i, j ) => ( ( i - start ) * PCDheader.rowSize ) + PCDheader.offset[ name ] + j * field.size;
+
+		decodeBinary( PCDheader, columns, dataview, componentOffset, start, start + rows, this.littleEndian );
+
+		this._pending = pending.slice( rows * PCDheader.rowSize );
+		this.decoded += rows;
+
+		return this._store( { start: start, count: rows, attributes: createAttributes( columns ) } );
+
+	}
+
+	// call once the stream has ended, returns the points not yet returned by push() or null
+
+	finish() {
+
+		if ( this.header === null ) {
+
+			// let parseHeader report what is wrong with the data
+
+			parseHeader( new TextDecoder().decode( this._pending ) );
+
+		}
+
+		const PCDheader = this.header;
+
+		if ( PCDheader.data === 'binary' ) {
+
+			if ( this.decoded < PCDheader.points ) {
+
+				throw new PCDParseError( 'TRUNCATED_BODY', 'THREE.PCDLoader: Stream ended after ' + this.decoded + ' of ' + PCDheader.points + ' points.' );
+
+			}
+
+			return null;
+
+		}
+
+		const body = concatBytes( this._bodyChunks );
+		const columns = createColumns( PCDheader );
+
+		this._bodyChunks = [];
+
+		if ( PCDheader.data === 'ascii' ) {
+
+			decodeAscii( PCDheader, columns, new TextDecoder().decode( body ) );
+
+		} else if ( PCDheader.data === 'binary_compressed' ) {
+
+			decodeCompressed( PCDheader, columns, body, this.littleEndian );
+
+		}
+
+		const attributes = createAttributes( columns );
+		const count = ( attributes.position !== undefined ) ? attributes.position.array.length / 3 : 0;
+
+		this.decoded = count;
+
+		return this._store( { start: 0, count: count, attributes: attributes } );
+
+	}
+
+	// the whole file as returned by parsePCD, available after finish()
+
+	getResult() {
+
+		const attributes = {};
+
+		if ( this._results.length > 0 ) {
+
+			for ( const name in this._results[ 0 ].attributes ) {
+
+				const arrays = this._results.map( ( result ) => result.attributes[ name ].array );
+				const merged = new arrays[ 0 ].constructor( arrays.reduce( ( sum, array ) => sum + array.length, 0 ) );
+
+				let offset = 0;
+
+				for ( let i = 0; i < arrays.length; i ++ ) {
+
+					merged.set( arrays[ i ], offset );
+					offset += arrays[ i ].length;
+
+				}
+
+				attributes[ name ] = { array: merged, itemSize: this._results[ 0 ].attributes[ name ].itemSize };
+
+			}
+
+		}
+
+		return { header: this.header, attributes: attributes };
+
+	}
+
+	_store( result ) {
+
+		this._results.push( result );
+		return result;
+
+	}
+
+}
+
+function concatBytes( chunks ) {
+
+	if ( chunks.length === 1 ) return chunks[ 0 ];
+
+	const bytes = new Uint8Array( chunks.reduce( ( sum, chunk ) => sum + chunk.length, 0 ) );
+
+	let offset = 0;
+
+	for ( let i = 0; i < chunks.length; i ++ ) {
+
+		bytes.set( chunks[ i ], offset );
+		offset += chunks[ i ].length;
+
+	}
+
+	return bytes;
+
+}
+
+export { parsePCD, PCDStreamParser, PCDParseError };
@@ -0,0 +1,34 @@
+// Web Worker side of PCDWorkerLoader: parses a transferred PCD buffer and
+// transfers the resulting typed arrays back to the main thread.
+
+import { parsePCD } from './PCDParser.js';
+
+self.onmessage = function ( event ) {
+
+	const message = event.data;
+
+	try {
+
+		const pcd = parsePCD( message.buffer, message.littleEndian );
+
+		const transfer = [];
+
+		for ( const name in pcd.attributes ) {
+
+			transfer.push( pcd.attributes[ name ].array.buffer );
+
+		}
+
+		self.postMessage( { id: message.id, pcd: pcd }, transfer );
+
+	} catch ( e ) {
+
+		self.postMessage( { id: message.id, error: { name: e.name, message: e.message, code: e.code } } );
+
+	}
+
+};
+
+// tells PCDWorkerLoader the module loaded, until then it keeps the buffers on the main thread
+
+self.postMessage( { ready: true } );
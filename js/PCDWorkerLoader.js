@@ -0,0 +1,252 @@
+import {
+	FileLoader
+} from 'three';
+import { PCDLoader, PCDParseError } from './PCDLoader.js';
+import { parsePCD } from './PCDParser.js';
+
+/**
+ * PCDLoader that parses off the main thread.
+ *
+ * The fetched buffer is transferred to a module worker running PCDParser and the
+ * typed arrays are transferred back, so only BufferGeometry creation happens on
+ * the main thread. load() keeps the onLoad/onProgress/onError contract of PCDLoader;
+ * loadProgressive() still streams binary bodies, but hands ascii and binary_compressed
+ * files to the workers once they have arrived.
+ * Without Worker support, or when a worker fails to start (file://, CSP, no module
+ * workers), parsing falls back to the main thread.
+ */
+
+class PCDWorkerLoader extends PCDLoader {
+
+	constructor( manager ) {
+
+		super( manager );
+
+		this.workerLimit = 4;
+		this.workerPool = [];
+		this.workerNextTask = 0;
+		this.workerFailed = false;
+		this.taskId = 0;
+
+	}
+
+	setWorkerLimit( workerLimit ) {
+
+		this.workerLimit = workerLimit;
+		return this;
+
+	}
+
+	load( url, onLoad, onProgress, onError ) {
+
+		const scope = this;
+
+		const loader = new FileLoader( scope.manager );
+		loader.setPath( scope.path );
+		loader.setResponseType( 'arraybuffer' );
+		loader.setRequestHeader( scope.requestHeader );
+		loader.setWithCredentials( scope.withCredentials );
+		loader.load( url, function ( data ) {
+
+			scope.parseAsync( data ).then( onLoad ).catch( function ( e ) {
+
+				if ( onError ) {
+
+					onError( e );
+
+				} else {
+
+					console.error( e );
+
+				}
+
+				scope.manager.itemError( url );
+
+			} );
+
+		}, onProgress, onError );
+
+	}
+
+	// resolves with the same Points object parse() returns; the buffer is detached afterwards
+
+	parseAsync( data ) {
+
+		if ( typeof Worker === 'undefined' || this.workerFailed ) {
+
+			return new Promise( ( resolve ) => resolve( this.parse( data ) ) );
+
+		}
+
+		const worker = this._getWorker();
+		const id = this.taskId ++;
+
+		return new Promise( ( resolve, reject ) => {
+
+			const task = { id: id, data: data, resolve: resolve, reject: reject };
+
+			// the buffer is only transferred once the worker is known to run, so it can still be parsed here if it never does
+
+			if ( worker._ready ) {
+
+				this._postTask( worker, task );
+
+			} else {
+
+				worker._queue.push( task );
+
+			}
+
+		} ).then( ( pcd ) => this.createPoints( pcd ) );
+
+	}
+
+	dispose() {
+
+		for ( let i = 0; i < this.workerPool.length; ++ i ) {
+
+			this.workerPool[ i ].terminate();
+
+		}
+
+		this.workerPool.length = 0;
+
+		return this;
+
+	}
+
+	_postTask( worker, task ) {
+
+		worker._callbacks[ task.id ] = { resolve: task.resolve, reject: task.reject };
+		worker.postMessage( { id: task.id, buffer: task.data, littleEndian: this.littleEndian }, [ task.data ] );
+
+	}
+
+	// removes a failed worker from the pool and parses the tasks still waiting for it on the main thread
+
+	_dropWorker( worker ) {
+
+		const index = this.workerPool.indexOf( worker );
+
+		if ( index !== - 1 ) this.workerPool.splice( index, 1 );
+
+		worker.terminate();
+
+		worker._queue.forEach( ( task ) => {
+
+			try {
+
+				task.resolve( parsePCD( task.data, this.littleEndian ) );
+
+			} catch ( e ) {
+
+				task.reject( e );
+
+			}
+
+		} );
+
+		worker._queue = [];
+
+	}
+
+	_getWorker() {
+
+		const scope = this;
+
+		if ( this.workerPool.length < this.workerLimit ) {
+
+			const worker = new Worker( new URL( './PCDWorker.js', import.meta.url ), { type: 'module' } );
+
+			worker._callbacks = {};
+			worker._ready = false;
+			worker._queue = [];
+
+			worker.onmessage = function ( event ) {
+
+				const message = event.data;
+
+				// the worker announces itself once its module has loaded
+
+				if ( message.ready ) {
+
+					worker._ready = true;
+					worker._queue.forEach( ( task ) => scope._postTask( worker, task ) );
+					worker._queue = [];
+					return;
+
+				}
+
+				const callbacks = worker._callbacks[ message.id ];
+
+				if ( callbacks === undefined ) return;
+
+				delete worker._callbacks[ message.id ];
+
+				if ( message.error !== undefined ) {
+
+					// errors lose their class crossing the worker boundary, rebuild parse errors so callers can check the code
+
+					let error;
+
+					if ( message.error.name === 'PCDParseError' ) {
+
+						error = new PCDParseError( message.error.code, message.error.message );
+
+					} else {
+
+						error = new Error( message.error.message );
+						error.name = message.error.name;
+
+					}
+
+					callbacks.reject( error );
+
+				} else {
+
+					callbacks.resolve( message.pcd );
+
+				}
+
+			};
+
+			// a worker that fails to start is dropped and its tasks, and every later one, are parsed
+			// on the main thread. A worker that crashes afterwards is dropped too: the tasks it had
+			// already received lost their buffers with it and fail, later tasks go to a new worker
+
+			worker.onerror = function ( event ) {
+
+				if ( ! worker._ready ) {
+
+					console.warn( 'THREE.PCDWorkerLoader: Worker failed to start, parsing on the main thread: ' + ( event.message || 'unknown' ) );
+
+					scope.workerFailed = true;
+					scope._dropWorker( worker );
+					return;
+
+				}
+
+				const error = new Error( 'THREE.PCDWorkerLoader: Worker error: ' + ( event.message || 'unknown' ) );
+
+				for ( const id in worker._callbacks ) {
+
+					worker._callbacks[ id ].reject( error );
+
+				}
+
+				worker._callbacks = {};
+				scope._dropWorker( worker );
+
+			};
+
+			this.workerPool.push( worker );
+
+		}
+
+		return this.workerPool[ this.workerNextTask ++ % this.workerPool.length ];
+
+	}
+
+}
+
+export { PCDWorkerLoader };
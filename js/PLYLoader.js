@@ -0,0 +1,472 @@
+import {
+	BufferGeometry,
+	FileLoader,
+	Float32BufferAttribute,
+	Int32BufferAttribute,
+	Loader,
+	Uint32BufferAttribute
+} from 'three';
+
+/**
+ * Description: A THREE loader for PLY ASCII and binary (little and big endian) files.
+ *
+ * Reads the vertex element into position, normal, color and uv attributes and the
+ * face element into an index. Every other vertex property (label, view_id,
+ * confidence, ...) is passed through as a named attribute, like PCDLoader does
+ * for unknown PCD fields.
+ *
+ * Usage:
+ *	const loader = new PLYLoader();
+ *	loader.load( './models/ply/ascii/dolphins.ply', function ( geometry ) {
+ *
+ *		scene.add( new THREE.Points( geometry ) );
+ *
+ *	} );
+ */
+
+// vertex properties with a dedicated attribute, every other property keeps its name
+
+const POSITION_PROPERTIES = [ 'x', 'y', 'z' ];
+const NORMAL_PROPERTIES = [ 'nx', 'ny', 'nz' ];
+const COLOR_PROPERTIES = [ [ 'red', 'green', 'blue' ], [ 'r', 'g', 'b' ], [ 'diffuse_red', 'diffuse_green', 'diffuse_blue' ] ];
+const UV_PROPERTIES = [ [ 's', 't' ], [ 'u', 'v' ], [ 'texture_u', 'texture_v' ], [ 'texture_s', 'texture_t' ] ];
+
+// PLY scalar types with their byte size, DataView getter and PCD-like TYPE
+
+const PLY_TYPES = {
+	char: { size: 1, getter: 'getInt8', type: 'I' },
+	int8: { size: 1, getter: 'getInt8', type: 'I' },
+	uchar: { size: 1, getter: 'getUint8', type: 'U' },
+	uint8: { size: 1, getter: 'getUint8', type: 'U' },
+	short: { size: 2, getter: 'getInt16', type: 'I' },
+	int16: { size: 2, getter: 'getInt16', type: 'I' },
+	ushort: { size: 2, getter: 'getUint16', type: 'U' },
+	uint16: { size: 2, getter: 'getUint16', type: 'U' },
+	int: { size: 4, getter: 'getInt32', type: 'I' },
+	int32: { size: 4, getter: 'getInt32', type: 'I' },
+	uint: { size: 4, getter: 'getUint32', type: 'U' },
+	uint32: { size: 4, getter: 'getUint32', type: 'U' },
+	float: { size: 4, getter: 'getFloat32', type: 'F' },
+	float32: { size: 4, getter: 'getFloat32', type: 'F' },
+	double: { size: 8, getter: 'getFloat64', type: 'F' },
+	float64: { size: 8, getter: 'getFloat64', type: 'F' }
+};
+
+class PLYLoader extends Loader {
+
+	constructor( manager ) {
+
+		super( manager );
+
+	}
+
+	load( url, onLoad, onProgress, onError ) {
+
+		const scope = this;
+
+		const loader = new FileLoader( this.manager );
+		loader.setPath( this.path );
+		loader.setResponseType( 'arraybuffer' );
+		loader.setRequestHeader( this.requestHeader );
+		loader.setWithCredentials( this.withCredentials );
+		loader.load( url, function ( text ) {
+
+			try {
+
+				onLoad( scope.parse( text ) );
+
+			} catch ( e ) {
+
+				if ( onError ) {
+
+					onError( e );
+
+				} else {
+
+					console.error( e );
+
+				}
+
+				scope.manager.itemError( url );
+
+			}
+
+		}, onProgress, onError );
+
+	}
+
+	parse( data ) {
+
+		function parseHeader( bytes ) {
+
+			// the header is ascii, decode a growing prefix of the file until it holds "end_header"
+			// (long comment or obj_info sections can push it past any fixed window)
+
+			const decoder = new TextDecoder();
+			let result = null;
+
+			for ( let end = Math.min( bytes.length, 65536 ); ; end = Math.min( bytes.length, end * 2 ) ) {
+
+				result = /^ply[\s\S]*?end_header(\r\n|\r|\n)/.exec( decoder.decode( bytes.subarray( 0, end ) ) );
+
+				if ( result !== null || end === bytes.length ) break;
+
+			}
+
+			if ( result === null ) {
+
+				throw new Error( 'THREE.PLYLoader: Missing "ply" magic or "end_header" line.' );
+
+			}
+
+			const header = {
+				format: null,
+				version: null,
+				comments: [],
+				elements: [],
+				headerLength: result[ 0 ].length
+			};
+
+			const lines = result[ 0 ].split( /\r\n|\r|\n/ );
+			let currentElement = null;
+
+			for ( let i = 1; i < lines.length; i ++ ) {
+
+				const line = lines[ i ].trim();
+
+				if ( line === '' ) continue;
+
+				const tokens = line.split( /\s+/ );
+				const keyword = tokens.shift();
+
+				switch ( keyword ) {
+
+					case 'format':
+
+						header.format = tokens[ 0 ];
+						header.version = tokens[ 1 ];
+
+						break;
+
+					case 'comment':
+					case 'obj_info':
+
+						header.comments.push( tokens.join( ' ' ) );
+
+						break;
+
+					case 'element':
+
+						currentElement = { name: tokens[ 0 ], count: parseInt( tokens[ 1 ], 10 ), properties: [] };
+						header.elements.push( currentElement );
+
+						break;
+
+					case 'property':
+
+						if ( currentElement === null ) {
+
+							throw new Error( 'THREE.PLYLoader: Property "' + line + '" declared before any element.' );
+
+						}
+
+						currentElement.properties.push( parseProperty( tokens, line ) );
+
+						break;
+
+					case 'end_header':
+
+						break;
+
+					default:
+
+						console.warn( 'THREE.PLYLoader: Unhandled header line "' + line + '".' );
+
+				}
+
+			}
+
+			if ( [ 'ascii', 'binary_little_endian', 'binary_big_endian' ].includes( header.format ) === false ) {
+
+				throw new Error( 'THREE.PLYLoader: Unsupported format "' + header.format + '".' );
+
+			}
+
+			return header;
+
+		}
+
+		function parseProperty( tokens, line ) {
+
+			if ( tokens[ 0 ] === 'list' ) {
+
+				checkType( tokens[ 1 ], line );
+				checkType( tokens[ 2 ], line );
+
+				return { name: tokens[ 3 ], isList: true, countType: tokens[ 1 ], itemType: tokens[ 2 ] };
+
+			}
+
+			checkType( tokens[ 0 ], line );
+
+			return { name: tokens[ 1 ], isList: false, type: tokens[ 0 ] };
+
+		}
+
+		function checkType( type, line ) {
+
+			if ( PLY_TYPES[ type ] === undefined ) {
+
+				throw new Error( 'THREE.PLYLoader: Unknown type "' + type + '" in "' + line + '".' );
+
+			}
+
+		}
+
+		// readers return the next value of a given PLY type, from ascii tokens or binary data
+
+		function createAsciiReader( text ) {
+
+			const tokens = text.split( /\s+/ ).filter( ( token ) => token !== '' );
+			let next = 0;
+
+			return function ( type ) {
+
+				if ( next >= tokens.length ) throw new Error( 'THREE.PLYLoader: Unexpected end of ascii data.' );
+
+				const token = tokens[ next ++ ];
+
+				return ( PLY_TYPES[ type ].type === 'F' ) ? parseFloat( token ) : parseInt( token, 10 );
+
+			};
+
+		}
+
+		function createBinaryReader( dataview, littleEndian ) {
+
+			let offset = 0;
+
+			return function ( type ) {
+
+				const plyType = PLY_TYPES[ type ];
+
+				if ( offset + plyType.size > dataview.byteLength ) throw new Error( 'THREE.PLYLoader: Unexpected end of binary data.' );
+
+				const value = dataview[ plyType.getter ]( offset, littleEndian );
+				offset += plyType.size;
+
+				return value;
+
+			};
+
+		}
+
+		function findGroup( properties, groups ) {
+
+			const names = properties.map( ( property ) => property.name );
+
+			for ( let i = 0; i < groups.length; i ++ ) {
+
+				if ( groups[ i ].every( ( name ) => names.includes( name ) ) ) return groups[ i ];
+
+			}
+
+			return null;
+
+		}
+
+		// integer channels use the full range of their type, float channels are expected in [0, 1]
+
+		function colorScale( type ) {
+
+			const plyType = PLY_TYPES[ type ];
+
+			return ( plyType.type === 'F' ) ? 1 : 1 / ( Math.pow( 2, 8 * plyType.size ) - 1 );
+
+		}
+
+		const bytes = ( data instanceof ArrayBuffer ) ? new Uint8Array( data ) : new TextEncoder().encode( data );
+		const header = parseHeader( bytes );
+		const body = bytes.subarray( header.headerLength );
+
+		const read = ( header.format === 'ascii' )
+			? createAsciiReader( new TextDecoder().decode( body ) )
+			: createBinaryReader( new DataView( body.buffer, body.byteOffset, body.byteLength ), header.format === 'binary_little_endian' );
+
+		const position = [];
+		const normal = [];
+		const color = [];
+		const uv = [];
+		const index = [];
+		const custom = {};
+
+		for ( let e = 0; e < header.elements.length; e ++ ) {
+
+			const element = header.elements[ e ];
+			const properties = element.properties;
+
+			if ( element.name === 'vertex' ) {
+
+				const colorNames = findGroup( properties, COLOR_PROPERTIES );
+				const uvNames = findGroup( properties, UV_PROPERTIES );
+				const colorScales = ( colorNames !== null ) ? colorNames.map( ( name ) => colorScale( properties.find( ( p ) => p.name === name ).type ) ) : null;
+				const hasPosition = POSITION_PROPERTIES.every( ( name ) => properties.some( ( p ) => p.name === name ) );
+				const hasNormal = NORMAL_PROPERTIES.every( ( name ) => properties.some( ( p ) => p.name === name ) );
+
+				const known = [];
+				if ( hasPosition ) known.push( ...POSITION_PROPERTIES );
+				if ( hasNormal ) known.push( ...NORMAL_PROPERTIES );
+				if ( colorNames !== null ) known.push( ...colorNames );
+				if ( uvNames !== null ) known.push( ...uvNames );
+
+				for ( let p = 0; p < properties.length; p ++ ) {
+
+					const property = properties[ p ];
+
+					if ( known.includes( property.name ) === false && property.isList === false ) custom[ property.name ] = { type: property.type, values: [] };
+
+				}
+
+				const vertex = {};
+
+				for ( let i = 0; i < element.count; i ++ ) {
+
+					for ( let p = 0; p < properties.length; p ++ ) {
+
+						const property = properties[ p ];
+
+						if ( property.isList ) {
+
+							// lists on vertices are not supported as attributes, consume and drop them
+
+							const n = read( property.countType );
+							for ( let k = 0; k < n; k ++ ) read( property.itemType );
+
+						} else {
+
+							vertex[ property.name ] = read( property.type );
+
+						}
+
+					}
+
+					if ( hasPosition ) position.push( vertex.x, vertex.y, vertex.z );
+					if ( hasNormal ) normal.push( vertex.nx, vertex.ny, vertex.nz );
+
+					if ( colorNames !== null ) {
+
+						color.push( vertex[ colorNames[ 0 ] ] * colorScales[ 0 ] );
+						color.push( vertex[ colorNames[ 1 ] ] * colorScales[ 1 ] );
+						color.push( vertex[ colorNames[ 2 ] ] * colorScales[ 2 ] );
+
+					}
+
+					if ( uvNames !== null ) uv.push( vertex[ uvNames[ 0 ] ], vertex[ uvNames[ 1 ] ] );
+
+					for ( const name in custom ) custom[ name ].values.push( vertex[ name ] );
+
+				}
+
+			} else if ( element.name === 'face' ) {
+
+				for ( let i = 0; i < element.count; i ++ ) {
+
+					for ( let p = 0; p < properties.length; p ++ ) {
+
+						const property = properties[ p ];
+
+						if ( property.isList ) {
+
+							const n = read( property.countType );
+							const indices = [];
+
+							for ( let k = 0; k < n; k ++ ) indices.push( read( property.itemType ) );
+
+							if ( property.name === 'vertex_indices' || property.name === 'vertex_index' ) {
+
+								// triangulate polygons as fans
+
+								for ( let k = 1; k < n - 1; k ++ ) index.push( indices[ 0 ], indices[ k ], indices[ k + 1 ] );
+
+							}
+
+						} else {
+
+							read( property.type );
+
+						}
+
+					}
+
+				}
+
+			} else {
+
+				// other elements (edges, materials, ...) are skipped
+
+				for ( let i = 0; i < element.count; i ++ ) {
+
+					for ( let p = 0; p < properties.length; p ++ ) {
+
+						const property = properties[ p ];
+
+						if ( property.isList ) {
+
+							const n = read( property.countType );
+							for ( let k = 0; k < n; k ++ ) read( property.itemType );
+
+						} else {
+
+							read( property.type );
+
+						}
+
+					}
+
+				}
+
+			}
+
+		}
+
+		// build geometry
+
+		const geometry = new BufferGeometry();
+
+		if ( index.length > 0 ) geometry.setIndex( index );
+
+		if ( position.length > 0 ) geometry.setAttribute( 'position', new Float32BufferAttribute( position, 3 ) );
+		if ( normal.length > 0 ) geometry.setAttribute( 'normal', new Float32BufferAttribute( normal, 3 ) );
+		if ( color.length > 0 ) geometry.setAttribute( 'color', new Float32BufferAttribute( color, 3 ) );
+		if ( uv.length > 0 ) geometry.setAttribute( 'uv', new Float32BufferAttribute( uv, 2 ) );
+
+		for ( const name in custom ) {
+
+			const plyType = PLY_TYPES[ custom[ name ].type ];
+			const values = custom[ name ].values;
+
+			if ( plyType.type === 'I' ) {
+
+				geometry.setAttribute( name, new Int32BufferAttribute( values, 1 ) );
+
+			} else if ( plyType.type === 'U' ) {
+
+				geometry.setAttribute( name, new Uint32BufferAttribute( values, 1 ) );
+
+			} else {
+
+				geometry.setAttribute( name, new Float32BufferAttribute( values, 1 ) );
+
+			}
+
+		}
+
+		geometry.computeBoundingSphere();
+
+		return geometry;
+
+	}
+
+}
+
+export { PLYLoader };
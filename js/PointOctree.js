@@ -0,0 +1,378 @@
+import {
+	Box3,
+	BufferAttribute,
+	BufferGeometry,
+	Frustum,
+	Matrix4,
+	Object3D,
+	Sphere,
+	Vector3
+} from 'three';
+import { PointSprites } from './PointSprites.js';
+
+/**
+ * Level of detail for large point clouds.
+ *
+ * The points are sorted into an octree at load time. Every node keeps a random subset
+ * of up to nodeCapacity of the points inside its cube, the rest move on to its children,
+ * so each level adds detail to the ones above it. update() then shows the nodes whose
+ * points are still too far apart on screen, largest first, until pointBudget is used up.
+ *
+ * Usage:
+ *	const octree = new PointOctree( geometry, material ); // geometry with position and color
+ *	scene.add( octree );
+ *
+ *	// before rendering, with the height of the viewport in pixels
+ *	octree.update( camera, viewportHeight );
+ *
+ * Points with a non-finite coordinate (holes of organized clouds) are dropped.
+ * setColors() recolors the octree from colors in the order of the source geometry,
+ * setPointAttribute() adds or updates any other per-point attribute the same way.
+ */
+
+class PointOctree extends Object3D {
+
+	constructor( geometry, material, parameters = {} ) {
+
+		super();
+
+		this.isPointOctree = true;
+
+		this.type = 'PointOctree';
+
+		this.material = material;
+
+		// points per node, nodes at maxDepth keep whatever reaches them
+		this.nodeCapacity = ( parameters.nodeCapacity !== undefined ) ? parameters.nodeCapacity : 20000;
+		this.maxDepth = ( parameters.maxDepth !== undefined ) ? parameters.maxDepth : 10;
+
+		// most points drawn at once
+		this.pointBudget = ( parameters.pointBudget !== undefined ) ? parameters.pointBudget : 1000000;
+
+		// nodes are refined while their point spacing covers more pixels than this
+		this.maxScreenSpaceError = ( parameters.maxScreenSpaceError !== undefined ) ? parameters.maxScreenSpaceError : 2;
+
+		this.nodes = [];
+		this.colors = null;
+		this.attributes = {}; // further reordered per-point attributes, see setPointAttribute()
+		this.sourceIndex = null; // index in the source geometry of every stored point
+		this.pointCount = 0;
+		this.visiblePointCount = 0;
+
+		this.build( geometry );
+
+	}
+
+	build( geometry ) {
+
+		const position = geometry.getAttribute( 'position' );
+		const color = geometry.getAttribute( 'color' );
+
+		// bounds and indices of the finite points
+
+		const indices = [];
+		const box = new Box3();
+		const point = new Vector3();
+
+		for ( let i = 0; i < position.count; i ++ ) {
+
+			point.fromBufferAttribute( position, i );
+
+			if ( Number.isFinite( point.x ) && Number.isFinite( point.y ) && Number.isFinite( point.z ) ) {
+
+				indices.push( i );
+				box.expandByPoint( point );
+
+			}
+
+		}
+
+		const count = indices.length;
+		const order = Uint32Array.from( indices );
+
+		// shuffle, so the points that fill a node first are a uniform sample of it
+
+		for ( let i = count - 1; i > 0; i -- ) {
+
+			const j = Math.floor( Math.random() * ( i + 1 ) );
+			const tmp = order[ i ];
+			order[ i ] = order[ j ];
+			order[ j ] = tmp;
+
+		}
+
+		// octree cells are cubes around the bounds
+
+		const center = box.isEmpty() ? new Vector3() : box.getCenter( new Vector3() );
+		const size = box.isEmpty() ? new Vector3() : box.getSize( new Vector3() );
+		const half = Math.max( size.x, size.y, size.z, 1e-6 ) * 0.5;
+
+		const nodes = [ createNode( center.x, center.y, center.z, half, 0, this.nodeCapacity ) ];
+		const nodeOfPoint = new Uint32Array( count );
+
+		for ( let k = 0; k < count; k ++ ) {
+
+			const i = order[ k ];
+			const x = position.getX( i ), y = position.getY( i ), z = position.getZ( i );
+
+			let node = nodes[ 0 ];
+
+			while ( node.count >= this.nodeCapacity && node.depth < this.maxDepth ) {
+
+				const octant = ( x >= node.center[ 0 ] ? 1 : 0 ) | ( y >= node.center[ 1 ] ? 2 : 0 ) | ( z >= node.center[ 2 ] ? 4 : 0 );
+
+				if ( node.children[ octant ] === null ) {
+
+					const h = node.half * 0.5;
+					const child = createNode(
+						node.center[ 0 ] + ( ( octant & 1 ) ? h : - h ),
+						node.center[ 1 ] + ( ( octant & 2 ) ? h : - h ),
+						node.center[ 2 ] + ( ( octant & 4 ) ? h : - h ),
+						h, node.depth + 1, this.nodeCapacity
+					);
+
+					child.index = nodes.length;
+					nodes.push( child );
+					node.children[ octant ] = child;
+
+				}
+
+				node = node.children[ octant ];
+
+			}
+
+			node.count ++;
+			nodeOfPoint[ k ] = node.index;
+
+		}
+
+		// store the points of every node contiguously
+
+		let offset = 0;
+
+		for ( const node of nodes ) {
+
+			node.offset = offset;
+			offset += node.count;
+
+		}
+
+		const positions = new Float32Array( count * 3 );
+		const colors = ( color !== undefined ) ? new Float32Array( count * 3 ) : null;
+		const sourceIndex = new Uint32Array( count );
+		const cursor = nodes.map( ( node ) => node.offset );
+
+		for ( let k = 0; k < count; k ++ ) {
+
+			const i = order[ k ];
+			const j = cursor[ nodeOfPoint[ k ] ] ++;
+
+			sourceIndex[ j ] = i;
+
+			positions[ 3 * j ] = position.getX( i );
+			positions[ 3 * j + 1 ] = position.getY( i );
+			positions[ 3 * j + 2 ] = position.getZ( i );
+
+			if ( colors !== null ) {
+
+				colors[ 3 * j ] = color.getX( i );
+				colors[ 3 * j + 1 ] = color.getY( i );
+				colors[ 3 * j + 2 ] = color.getZ( i );
+
+			}
+
+		}
+
+		// one point cloud per node, hidden until update() picks it
+
+		for ( const node of nodes ) {
+
+			const nodeGeometry = new BufferGeometry();
+			nodeGeometry.setAttribute( 'position', new BufferAttribute( positions.subarray( 3 * node.offset, 3 * ( node.offset + node.count ) ), 3 ) );
+
+			if ( colors !== null ) {
+
+				nodeGeometry.setAttribute( 'color', new BufferAttribute( colors.subarray( 3 * node.offset, 3 * ( node.offset + node.count ) ), 3 ) );
+
+			}
+
+			nodeGeometry.boundingBox = node.box;
+			nodeGeometry.boundingSphere = node.sphere;
+
+			node.points = new PointSprites( nodeGeometry, this.material );
+			node.points.frustumCulled = false; // update() culls whole nodes
+			node.points.visible = false;
+			this.add( node.points );
+
+		}
+
+		this.nodes = nodes;
+		this.colors = colors;
+		this.sourceIndex = sourceIndex;
+		this.pointCount = count;
+
+	}
+
+	setColors( sourceColors ) {
+
+		if ( this.colors === null ) return;
+
+		this.setPointAttribute( 'color', sourceColors, 3 );
+
+	}
+
+	// sourceValues holds itemSize values per point of the source geometry
+
+	setPointAttribute( name, sourceValues, itemSize ) {
+
+		let values = ( name === 'color' ) ? this.colors : this.attributes[ name ];
+
+		if ( values === undefined ) {
+
+			values = new Float32Array( this.pointCount * itemSize );
+			this.attributes[ name ] = values;
+
+			for ( const node of this.nodes ) {
+
+				const array = values.subarray( itemSize * node.offset, itemSize * ( node.offset + node.count ) );
+				node.points.geometry.setAttribute( name, new BufferAttribute( array, itemSize ) );
+
+			}
+
+		}
+
+		for ( let j = 0; j < this.pointCount; j ++ ) {
+
+			const i = this.sourceIndex[ j ];
+
+			for ( let c = 0; c < itemSize; c ++ ) values[ itemSize * j + c ] = sourceValues[ itemSize * i + c ];
+
+		}
+
+		for ( const node of this.nodes ) node.points.geometry.getAttribute( name ).needsUpdate = true;
+
+	}
+
+	update( camera, viewportHeight ) {
+
+		camera.updateMatrixWorld();
+		this.updateMatrixWorld();
+
+		_projScreenMatrix.multiplyMatrices( camera.projectionMatrix, camera.matrixWorldInverse );
+		_frustum.setFromProjectionMatrix( _projScreenMatrix );
+		_cameraPosition.setFromMatrixPosition( camera.matrixWorld );
+
+		const perspective = camera.isPerspectiveCamera === true;
+		const scale = this.matrixWorld.getMaxScaleOnAxis();
+
+		// pixels per world unit at the distance of a node
+
+		const focalPixels = camera.projectionMatrix.elements[ 5 ] * viewportHeight * 0.5;
+
+		const pixelsPerUnit = ( node ) => {
+
+			if ( perspective === false ) return focalPixels;
+
+			_sphere.copy( node.sphere ).applyMatrix4( this.matrixWorld );
+			const distance = _sphere.center.distanceTo( _cameraPosition );
+
+			return ( distance > _sphere.radius ) ? focalPixels / distance : Infinity;
+
+		};
+
+		for ( const node of this.nodes ) node.points.visible = false;
+
+		// nodes waiting to be shown, sorted by screen size so the largest is last
+
+		const queue = [ this.nodes[ 0 ] ];
+		this.nodes[ 0 ].weight = Infinity;
+
+		let visiblePoints = 0;
+
+		while ( queue.length > 0 ) {
+
+			const node = queue.pop();
+
+			_box.copy( node.box ).applyMatrix4( this.matrixWorld );
+
+			if ( _frustum.intersectsBox( _box ) === false ) continue;
+			if ( visiblePoints + node.count > this.pointBudget ) break;
+
+			node.points.visible = true;
+			visiblePoints += node.count;
+
+			// refine while neighbouring points of this node are further apart than the allowed error
+
+			if ( node.spacing * scale * pixelsPerUnit( node ) <= this.maxScreenSpaceError ) continue;
+
+			for ( const child of node.children ) {
+
+				if ( child === null ) continue;
+
+				child.weight = child.sphere.radius * scale * pixelsPerUnit( child );
+				insertByWeight( queue, child );
+
+			}
+
+		}
+
+		this.visiblePointCount = visiblePoints;
+
+	}
+
+	dispose() {
+
+		for ( const node of this.nodes ) node.points.geometry.dispose();
+
+	}
+
+}
+
+function createNode( x, y, z, half, depth, capacity ) {
+
+	const box = new Box3( new Vector3( x - half, y - half, z - half ), new Vector3( x + half, y + half, z + half ) );
+
+	return {
+		index: 0,
+		center: [ x, y, z ],
+		half: half,
+		depth: depth,
+		box: box,
+		sphere: box.getBoundingSphere( new Sphere() ),
+		// average distance of capacity points spread over the cube's cross section
+		spacing: 2 * half / Math.sqrt( capacity ),
+		children: [ null, null, null, null, null, null, null, null ],
+		count: 0,
+		offset: 0,
+		weight: 0,
+		points: null
+	};
+
+}
+
+// keeps queue sorted by ascending weight
+
+function insertByWeight( queue, node ) {
+
+	let low = 0, high = queue.length;
+
+	while ( low < high ) {
+
+		const mid = ( low + high ) >> 1;
+
+		if ( queue[ mid ].weight < node.weight ) low = mid + 1;
+		else high = mid;
+
+	}
+
+	queue.splice( low, 0, node );
+
+}
+
+const _projScreenMatrix = new Matrix4();
+const _frustum = new Frustum();
+const _cameraPosition = new Vector3();
+const _sphere = new Sphere();
+const _box = new Box3();
+
+export { PointOctree };
@@ -0,0 +1,442 @@
+import {
+	BufferAttribute,
+	BufferGeometry,
+	DataTexture,
+	FloatType,
+	Points,
+	RGBAFormat,
+	ShaderMaterial,
+	Vector2,
+	Vector3,
+	Vector4
+} from 'three';
+
+/**
+ * Point cloud rendering with shaded sphere impostors.
+ *
+ * Every point is drawn as a single GL point whose size covers a sphere of the given
+ * radius in world units. The fragment shader cuts the sprite round, lights it as a
+ * sphere and moves its depth onto the sphere surface, so neighbouring points
+ * intersect like real spheres at a fraction of the cost of instanced meshes.
+ *
+ * Usage:
+ *	const material = new PointSpriteMaterial( { radius: 0.005 } );
+ *	const points = new PointSprites( geometry, material ); // geometry with position and color
+ *
+ *	// optional: cast shadows from directional lights
+ *	points.castShadow = true;
+ *	points.customDepthMaterial = material.createDepthMaterial( light.shadow.mapSize.height );
+ *
+ * Set vertexRadius: true to read the radius of every point from a 'pointRadius' attribute.
+ *
+ * Animated clouds upload all frames once and blend them in the vertex shader:
+ *	material.setFrames( frames, renderer.capabilities.maxTextureSize ); // equally long position arrays
+ *	const points = new PointSprites( createFrameGeometry( frames, colors ), material );
+ *	material.time = 2.5; // halfway between frames 2 and 3
+ *
+ * setColormap() colors points by their height or, with frames, by their distance to the
+ * last frame instead of the color attribute, mapped from scalarRange through a 1D texture.
+ *
+ * An optional 'pointState' attribute dims (1) or hides (2) single points, 0 draws them as usual.
+ */
+
+// texels per row of the frame texture, larger clouds wrap onto further rows (and widen the
+// texture when the rows of all frames would not fit under the size limit)
+
+const FRAME_TEXTURE_WIDTH = 2048;
+
+const vertexShader = /* glsl */`
+uniform float radius;
+uniform float viewportHeight;
+
+attribute float pointState; // 0 shown, 1 dimmed, 2 hidden
+
+#ifdef USE_VERTEX_RADIUS
+	attribute float pointRadius;
+#endif
+
+#ifdef USE_FRAMES
+
+	uniform sampler2D frameTexture;
+	uniform vec3 frameLayout; // texture width, texture rows per frame, frame count
+	uniform float time;
+
+	attribute float pointIndex;
+
+	vec3 framePosition( const in float frame ) {
+
+		float row = floor( pointIndex / frameLayout.x );
+		float column = pointIndex - row * frameLayout.x;
+		vec2 uv = ( vec2( column, frame * frameLayout.y + row ) + 0.5 ) / vec2( frameLayout.x, frameLayout.y * frameLayout.z );
+
+		return texture2D( frameTexture, uv ).xyz;
+
+	}
+
+#endif
+
+#ifdef USE_COLORMAP
+
+	uniform sampler2D colormap;
+	uniform vec2 scalarRange;
+
+#endif
+
+varying vec3 vViewCenter;
+varying float vRadius;
+varying float vDimmed;
+
+#include <common>
+#include <color_pars_vertex>
+
+void main() {
+
+	// hidden points end up outside the clip volume
+
+	if ( pointState > 1.5 ) {
+
+		gl_Position = vec4( 0.0, 0.0, 2.0, 1.0 );
+		gl_PointSize = 0.0;
+		return;
+
+	}
+
+	vDimmed = pointState;
+
+	#include <color_vertex>
+
+	#ifdef USE_VERTEX_RADIUS
+		vRadius = pointRadius;
+	#else
+		vRadius = radius;
+	#endif
+
+	vec3 transformed = position;
+
+	#ifdef USE_FRAMES
+
+		float frameTime = clamp( time, 0.0, frameLayout.z - 1.0 );
+		float frame0 = floor( frameTime );
+		float frame1 = min( frame0 + 1.0, frameLayout.z - 1.0 );
+
+		transformed = mix( framePosition( frame0 ), framePosition( frame1 ), frameTime - frame0 );
+
+	#endif
+
+	#if defined( USE_COLORMAP ) && defined( USE_COLOR )
+
+		#if defined( SCALAR_DISPLACEMENT ) && defined( USE_FRAMES )
+			float scalar = distance( transformed, framePosition( frameLayout.z - 1.0 ) );
+		#else
+			float scalar = ( modelMatrix * vec4( transformed, 1.0 ) ).z;
+		#endif
+
+		float scalarT = clamp( ( scalar - scalarRange.x ) / max( scalarRange.y - scalarRange.x, 1e-6 ), 0.0, 1.0 );
+		vColor.rgb = texture2D( colormap, vec2( scalarT, 0.5 ) ).rgb;
+
+	#endif
+
+	vec4 mvPosition = modelViewMatrix * vec4( transformed, 1.0 );
+	vViewCenter = mvPosition.xyz;
+
+	gl_Position = projectionMatrix * mvPosition;
+
+	// sprite diameter in pixels, perspective cameras shrink it with distance
+
+	float depthScale = isPerspectiveMatrix( projectionMatrix ) ? - mvPosition.z : 1.0;
+	gl_PointSize = vRadius * projectionMatrix[ 1 ][ 1 ] * viewportHeight / depthScale;
+
+}
+`;
+
+const fragmentShader = /* glsl */`
+uniform mat4 projectionMatrix;
+uniform float opacity;
+uniform vec3 lightDirection;
+uniform float ambient;
+uniform float diffuse;
+uniform float specular;
+uniform float shininess;
+
+varying vec3 vViewCenter;
+varying float vRadius;
+varying float vDimmed;
+
+#include <common>
+#include <packing>
+#include <color_pars_fragment>
+
+void main() {
+
+	// gl_PointCoord runs top to bottom
+
+	vec2 coord = vec2( gl_PointCoord.x * 2.0 - 1.0, 1.0 - gl_PointCoord.y * 2.0 );
+	float distanceSq = dot( coord, coord );
+
+	if ( distanceSq > 1.0 ) discard;
+
+	vec3 normal = vec3( coord, sqrt( 1.0 - distanceSq ) );
+
+	// move the fragment onto the sphere surface so overlapping sprites intersect
+
+	vec4 clipPosition = projectionMatrix * vec4( vViewCenter + normal * vRadius, 1.0 );
+	float depth = 0.5 * clipPosition.z / clipPosition.w + 0.5;
+
+	gl_FragDepthEXT = depth;
+
+	#ifdef DEPTH_PACKING
+
+		gl_FragColor = packDepthToRGBA( depth );
+
+	#else
+
+		vec3 light = normalize( ( viewMatrix * vec4( lightDirection, 0.0 ) ).xyz );
+		vec3 halfway = normalize( light + vec3( 0.0, 0.0, 1.0 ) );
+
+		vec3 diffuseColor = vec3( 1.0 );
+
+		#ifdef USE_COLOR
+			diffuseColor *= vColor;
+		#endif
+
+		vec3 outgoingLight = diffuseColor * ( ambient + diffuse * max( dot( normal, light ), 0.0 ) );
+		outgoingLight += specular * pow( max( dot( normal, halfway ), 0.0 ), shininess );
+
+		// dimmed points fade towards a light gray to let the others stand out
+
+		outgoingLight = mix( outgoingLight, vec3( 0.9 ), 0.8 * vDimmed );
+
+		gl_FragColor = vec4( outgoingLight, opacity );
+
+		#include <encodings_fragment>
+
+	#endif
+
+}
+`;
+
+// material properties backed by a uniform of the same name
+
+const UNIFORM_PROPERTIES = [ 'radius', 'opacity', 'lightDirection', 'ambient', 'diffuse', 'specular', 'shininess', 'time', 'scalarRange' ];
+
+class PointSpriteMaterial extends ShaderMaterial {
+
+	constructor( parameters = {} ) {
+
+		super();
+
+		this.isPointSpriteMaterial = true;
+
+		this.type = 'PointSpriteMaterial';
+
+		this.uniforms = {
+			radius: { value: 0.005 },
+			viewportHeight: { value: 1 },
+			opacity: { value: 1 },
+			lightDirection: { value: new Vector3( 5, 5, 12 ).normalize() },
+			ambient: { value: 0.75 },
+			diffuse: { value: 0.45 },
+			specular: { value: 0.15 },
+			shininess: { value: 24 },
+			frameTexture: { value: null },
+			frameLayout: { value: new Vector3( 1, 1, 1 ) },
+			time: { value: 0 },
+			colormap: { value: null },
+			scalarRange: { value: new Vector2( 0, 1 ) }
+		};
+
+		this.vertexShader = vertexShader;
+		this.fragmentShader = fragmentShader;
+		this.vertexColors = true;
+		this.defaultAttributeValues.pointState = [ 0 ]; // geometries without the attribute are fully shown
+		this.extensions.fragDepth = true;
+
+		for ( const name of UNIFORM_PROPERTIES ) {
+
+			Object.defineProperty( this, name, {
+				get: function () {
+
+					return this.uniforms[ name ].value;
+
+				},
+				set: function ( value ) {
+
+					this.uniforms[ name ].value = value;
+
+				}
+			} );
+
+		}
+
+		parameters = Object.assign( {}, parameters );
+
+		if ( parameters.vertexRadius === true ) this.defines.USE_VERTEX_RADIUS = '';
+
+		delete parameters.vertexRadius;
+
+		this.setValues( parameters );
+
+	}
+
+	// uploads the frames of an animated cloud, equally long position arrays, as one float texture
+	// no larger than maxTextureSize (renderer.capabilities.maxTextureSize) on either side;
+	// time then blends frame floor( time ) into the next one. Throws when the frames do not fit
+
+	setFrames( frames, maxTextureSize = 4096 ) {
+
+		const count = frames[ 0 ].length / 3;
+		let width = Math.max( 1, Math.min( count, FRAME_TEXTURE_WIDTH, maxTextureSize ) );
+		let rows = Math.max( 1, Math.ceil( count / width ) );
+
+		if ( rows * frames.length > maxTextureSize ) {
+
+			width = Math.max( 1, Math.min( count, maxTextureSize ) );
+			rows = Math.max( 1, Math.ceil( count / width ) );
+
+		}
+
+		if ( rows * frames.length > maxTextureSize ) {
+
+			throw new Error( 'THREE.PointSpriteMaterial: ' + frames.length + ' frames of ' + count + ' points need a ' + width + ' x ' + ( rows * frames.length ) + ' frame texture, this GPU allows ' + maxTextureSize + ' x ' + maxTextureSize + '.' );
+
+		}
+
+		const data = new Float32Array( width * rows * frames.length * 4 );
+
+		for ( let f = 0; f < frames.length; f ++ ) {
+
+			const frame = frames[ f ];
+			const offset = f * width * rows;
+
+			for ( let i = 0; i < count; i ++ ) {
+
+				data[ 4 * ( offset + i ) ] = frame[ 3 * i ];
+				data[ 4 * ( offset + i ) + 1 ] = frame[ 3 * i + 1 ];
+				data[ 4 * ( offset + i ) + 2 ] = frame[ 3 * i + 2 ];
+
+			}
+
+		}
+
+		const texture = new DataTexture( data, width, rows * frames.length, RGBAFormat, FloatType );
+		texture.needsUpdate = true;
+
+		if ( this.uniforms.frameTexture.value !== null ) this.uniforms.frameTexture.value.dispose();
+
+		this.uniforms.frameTexture.value = texture;
+		this.uniforms.frameLayout.value.set( width, rows, frames.length );
+		this.defines.USE_FRAMES = '';
+		this.needsUpdate = true;
+
+		return this;
+
+	}
+
+	// colors points through a colormap texture instead of their color attribute. source is
+	// 'height' (world z) or 'displacement' (distance to the last frame, needs setFrames());
+	// pass null to go back to the color attribute
+
+	setColormap( colormap, source = 'height' ) {
+
+		delete this.defines.USE_COLORMAP;
+		delete this.defines.SCALAR_HEIGHT;
+		delete this.defines.SCALAR_DISPLACEMENT;
+
+		if ( colormap !== null ) {
+
+			this.defines.USE_COLORMAP = '';
+			this.defines[ ( source === 'displacement' ) ? 'SCALAR_DISPLACEMENT' : 'SCALAR_HEIGHT' ] = '';
+
+		}
+
+		this.uniforms.colormap.value = colormap;
+		this.needsUpdate = true;
+
+		return this;
+
+	}
+
+	// depth material for Object3D.customDepthMaterial, drawing the same spheres into a shadow map of the given height.
+	// Create it after setFrames(), it shares radius, frames and time with this material
+
+	createDepthMaterial( shadowMapHeight ) {
+
+		const material = new ShaderMaterial( {
+			uniforms: {
+				radius: this.uniforms.radius,
+				viewportHeight: { value: shadowMapHeight },
+				frameTexture: this.uniforms.frameTexture,
+				frameLayout: this.uniforms.frameLayout,
+				time: this.uniforms.time
+			},
+			defines: Object.assign( { DEPTH_PACKING: '' }, this.defines ),
+			vertexShader: vertexShader,
+			fragmentShader: fragmentShader
+		} );
+
+		material.defaultAttributeValues.pointState = [ 0 ];
+		material.extensions.fragDepth = true;
+
+		return material;
+
+	}
+
+	dispose() {
+
+		if ( this.uniforms.frameTexture.value !== null ) this.uniforms.frameTexture.value.dispose();
+
+		super.dispose();
+
+	}
+
+}
+
+// geometry for a PointSpriteMaterial with frames: frame 0 as position (for bounds), per-point colors
+// and the index of every point into the frame texture
+
+function createFrameGeometry( frames, colors ) {
+
+	const count = frames[ 0 ].length / 3;
+	const pointIndex = new Float32Array( count );
+
+	for ( let i = 0; i < count; i ++ ) pointIndex[ i ] = i;
+
+	const geometry = new BufferGeometry();
+	geometry.setAttribute( 'position', new BufferAttribute( frames[ 0 ], 3 ) );
+	geometry.setAttribute( 'pointIndex', new BufferAttribute( pointIndex, 1 ) );
+
+	if ( colors !== undefined && colors !== null ) geometry.setAttribute( 'color', new BufferAttribute( colors, 3 ) );
+
+	return geometry;
+
+}
+
+const _viewport = new Vector4();
+
+// Points that keep the viewport height of their PointSpriteMaterial up to date
+
+class PointSprites extends Points {
+
+	constructor( geometry, material ) {
+
+		super( geometry, material );
+
+		this.isPointSprites = true;
+
+		this.type = 'PointSprites';
+
+	}
+
+	onBeforeRender( renderer, scene, camera, geometry, material ) {
+
+		if ( material.isPointSpriteMaterial === true ) {
+
+			material.uniforms.viewportHeight.value = renderer.getCurrentViewport( _viewport ).w;
+
+		}
+
+	}
+
+}
+
+export { PointSpriteMaterial, PointSprites, createFrameGeometry };
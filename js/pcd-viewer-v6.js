@@ -1,78 +1,319 @@
 // 1) IMPORTS (ensure your bundler or <script type="module"> can find these)
 import * as THREE from 'three';
-import { PCDLoader } from 'PCDLoader';
+import { PCDWorkerLoader } from 'PCDWorkerLoader';
+import { PCDParseError } from 'PCDLoader';
+import { PCDExporter } from 'PCDExporter';
+import { PLYLoader } from 'PLYLoader';
+import { LASLoader } from 'LASLoader';
+import { NPYLoader, splitFrames } from 'NPYLoader';
 import { OrbitControls } from 'OrbitControls';
-
-// 2) SAMPLE MAP + FRAME PARAMETERS
-// All datasets share the same configuration
-const sampleMap = ['midpoint', 'endpoint'];
-const viewerParams = { groundHeight: -0.5, cameraY: 1.2 };
-const totalFrames = 10; // Number of steps per sample
-
-// Dataset-specific camera FOV (zoom) settings
-const cameraFOV = {
-  oxford:  16,  // Default zoom
-  bremen:  10,  // Zoom in a bit
-  kitchen: 24,  // Zoom out a bit
-  colosseum: 10,  // Zoom in a bit
-  campus: 16,  // Default zoom
-  office: 22,  // Default zoom
-  sweetpepper: 16,  // Default zoom
-  hkust: 14,  // Default zoom
-  mountain: 24,  // Default zoom
-  tunnel: 18,  // Default zoom
-  corridor: 15,  // Default zoom
-  spagna: 18  // Default zoom
+import { PointSpriteMaterial, PointSprites, createFrameGeometry } from 'PointSprites';
+import { PointOctree } from 'PointOctree';
+import { evaluateColormap, createColormapTexture } from 'Colormaps';
+import { EyeDomeLighting } from 'EyeDomeLighting';
+
+// 2) SCENE MANIFEST + FRAME PARAMETERS
+// Scenes, their files and display settings are declared in pcd/manifest.json (see loadManifest),
+// which also orders the tab bar. A scene falls back to the manifest's "defaults", then to these.
+const manifestUrl = 'pcd/manifest.json';
+const sceneDefaults = {
+  name: null,                         // tab label, the scene id when missing
+  path: null,                         // folder under pcd/, the scene id when missing
+  files: {
+    input: 'input.pcd',               // .pcd, .ply or .las; the extension picks the loader
+    frames: '{sample}/step_{t}.pcd',  // one file per step, {sample} and {t} are filled in
+    trajectory: null                  // or one (T, N, 3) .npy/.npz per sample, e.g. '{sample}/trajectory.npz'
+  },
+  frames: 10,                         // steps per sample of step files; trajectories bring their own T
+  samples: ['midpoint', 'endpoint'],  // left and right sampled viewer
+  framing: 'auto',                    // auto: fit camera + ground to the clouds, see applySceneFraming;
+                                      // manual: use camera, groundHeight and fov as given
+  fov: null,                          // null: 20, or fitted to the input with manual framing
+  pointSize: null,                    // point radius, null: fitted to the input, see addSceneBounds
+  groundHeight: -0.5,                 // manual framing only
+  camera: { position: [0, 1.2, 5], target: [0, 0, 0] },      // sampled viewers' start pose and
+  inputCamera: { position: [0, 1.4, 5], target: [0, 0, 0] }  // the input viewer's; auto framing keeps their direction
 };
 
-// Dataset-specific point size settings (radius)
-const pointSize = {
-  oxford:  0.005,
-  bremen:  0.0025,
-  kitchen: 0.007,
-  colosseum: 0.003,
-  campus: 0.005,
-  office: 0.008,
-  sweetpepper: 0.007,
-  hkust: 0.003,
-  mountain: 0.006,
-  tunnel: 0.005,
-  corridor: 0.004,
-  spagna: 0.006
-};
+let scenes = [];                      // scene configs from the manifest, in tab order
+let totalFrames = sceneDefaults.frames; // steps per sample of the open scene
+
+// Helper: entry's fields over base's; files and cameras are merged field by field
+function mergeSceneFields(base, entry = {}) {
+  return Object.assign({}, base, entry, {
+    files: Object.assign({}, base.files, entry.files),
+    camera: Object.assign({}, base.camera, entry.camera),
+    inputCamera: Object.assign({}, base.inputCamera, entry.inputCamera)
+  });
+}
+
+// Helper: fill in what a manifest entry leaves out and check what the viewers rely on
+function resolveScene(entry, defaults) {
+  if (!entry || typeof entry.id !== 'string' || entry.id === '') {
+    throw new Error('Every scene needs a string "id"');
+  }
+  const scene = mergeSceneFields(defaults, entry);
+  scene.name = scene.name || scene.id;
+  scene.path = scene.path || scene.id;
+  if (!Number.isInteger(scene.frames) || scene.frames < 1) {
+    throw new Error(`Scene "${scene.id}": "frames" must be a positive integer`);
+  }
+  if (scene.framing !== 'auto' && scene.framing !== 'manual') {
+    throw new Error(`Scene "${scene.id}": "framing" must be "auto" or "manual"`);
+  }
+  if (!Array.isArray(scene.samples) || scene.samples.length === 0) {
+    throw new Error(`Scene "${scene.id}": "samples" must list at least one sample`);
+  }
+  return scene;
+}
+
+// Fetch the manifest and resolve its scenes; rejects with the reason when it is unusable
+async function loadManifest(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+  const manifest = await response.json();
+  if (!Array.isArray(manifest.scenes) || manifest.scenes.length === 0) {
+    throw new Error(`${url}: "scenes" must list at least one scene`);
+  }
+  const defaults = mergeSceneFields(sceneDefaults, manifest.defaults);
+  return manifest.scenes.map((entry) => resolveScene(entry, defaults));
+}
+
+// Helper: config of one scene (the built-in defaults for an unknown id)
+function sceneConfig(objName) {
+  return scenes.find((scene) => scene.id === objName) || resolveScene({ id: objName }, sceneDefaults);
+}
+
+// Until the clouds of a scene have loaded and been fitted
+const fallbackFov = 20;
+const fallbackPointSize = 0.006;
+
+function sceneFov(objName) {
+  const config = sceneConfig(objName);
+  if (config.fov !== null) return config.fov;
+  // Auto framing moves the camera to fit the scene instead of widening the lens
+  if (config.framing === 'manual' && config.fitted) return config.fitted.fov;
+  return fallbackFov;
+}
+
+function scenePointSize(objName) {
+  const config = sceneConfig(objName);
+  return config.pointSize ?? (config.fitted ? config.fitted.pointSize : fallbackPointSize);
+}
+
+// Helper: bounding sphere (around the box center, as BufferGeometry.computeBoundingSphere does),
+// lowest z and number of the finite points of a position array, placed by matrix when one is
+// given (the pose a cloud is drawn at); null when there are none
+function cloudBounds(positions, matrix = null) {
+  const box = new THREE.Box3();
+  const point = new THREE.Vector3();
+  let count = 0;
+  for (let i = 0; i < positions.length; i += 3) {
+    point.fromArray(positions, i);
+    if (matrix) point.applyMatrix4(matrix);
+    if (!Number.isFinite(point.x) || !Number.isFinite(point.y) || !Number.isFinite(point.z)) continue;
+    box.expandByPoint(point);
+    count++;
+  }
+  if (count === 0) return null;
+
+  const center = box.getCenter(new THREE.Vector3());
+  let radiusSq = 0;
+  for (let i = 0; i < positions.length; i += 3) {
+    point.fromArray(positions, i);
+    if (matrix) point.applyMatrix4(matrix);
+    const d = point.distanceToSquared(center);
+    if (d > radiusSq) radiusSq = d;   // NaN never wins
+  }
+  return { sphere: new THREE.Sphere(center, Math.sqrt(radiusSq)), minZ: box.min.z, count };
+}
+
+// Add a loaded cloud to its scene's bounds, once per key ('input' or 'endpoint/<sample>'), and
+// refit; matrix places clouds that are not drawn where they are stored. The input alone gives
+// the point size (half the average point spacing across its bounding sphere, within ~20% of the
+// hand-tuned scenes) and the fov of manually framed scenes without one; auto framing uses every
+// cloud seen so far.
+function addSceneBounds(objName, key, positions, matrix = null) {
+  const config = sceneConfig(objName);
+  if (!config.bounds) config.bounds = { sphere: null, minZ: Infinity, keys: new Set() };
+  const bounds = config.bounds;
+  if (bounds.keys.has(key)) return;
+
+  const cloud = cloudBounds(positions, matrix);
+  if (!cloud) return;
+  bounds.keys.add(key);
+  bounds.sphere = bounds.sphere ? bounds.sphere.union(cloud.sphere) : cloud.sphere;
+  bounds.minZ = Math.min(bounds.minZ, cloud.minZ);
+
+  if (key === 'input' && !config.fitted) {
+    const distance = new THREE.Vector3().fromArray(config.camera.position)
+      .distanceTo(new THREE.Vector3().fromArray(config.camera.target));
+    config.fitted = {
+      fov: THREE.MathUtils.radToDeg(2 * Math.atan(cloud.sphere.radius / distance)),
+      pointSize: 0.5 * cloud.sphere.radius / Math.sqrt(cloud.count)
+    };
+    console.log(`Fitted ${objName}: fov ${config.fitted.fov.toFixed(1)}, point size ${config.fitted.pointSize.toFixed(4)}`);
+    applyDisplaySettings();
+  }
+  applySceneFraming(objName);
+}
+
+// Helper: point every viewer of a scene at it. Auto framing puts the orbit target at the center
+// of the scene's bounding sphere, backs the camera off along its current direction until the
+// sphere fills the narrower side of the view, fits the near / far planes and the shadow camera
+// around the sphere and lays the ground plane just under the lowest point. Manual framing only
+// updates the fov.
+function applySceneFraming(objName) {
+  allStates.forEach((st) => {
+    if (st.objName === objName) frameViewer(st);
+  });
+  requestRender();
+}
+
+// Helper: frame one viewer as applySceneFraming does. The fit depends on the viewport's aspect,
+// so renderAll calls this again whenever the aspect changes.
+function frameViewer(st) {
+  const config = sceneConfig(st.objName);
+  const fov = sceneFov(st.objName);
+  const sphere = (config.framing === 'auto' && config.bounds) ? config.bounds.sphere : null;
+  const camera = st.camera;
+  camera.fov = fov;
+
+  if (sphere) {
+    const halfFov = THREE.MathUtils.degToRad(fov) / 2;
+    const halfFovNarrow = camera.aspect < 1 ? Math.atan(Math.tan(halfFov) * camera.aspect) : halfFov;
+    const distance = sphere.radius / Math.sin(halfFovNarrow);
+
+    const direction = camera.position.clone().sub(st.controls.target);
+    if (direction.lengthSq() === 0) direction.fromArray((st === inputState ? config.inputCamera : config.camera).position);
+    direction.normalize();
+
+    st.controls.target.copy(sphere.center);
+    camera.position.copy(sphere.center).addScaledVector(direction, distance);
+    camera.near = Math.max(distance - 2 * sphere.radius, 0.01 * distance);
+    camera.far = distance + 4 * sphere.radius;
+    if (st.ground) {
+      st.ground.position.set(sphere.center.x, sphere.center.y, config.bounds.minZ - 0.02 * sphere.radius);
+      // As large as the shadow camera's footprint (see fitShadowCamera)
+      st.ground.scale.setScalar(3 * sphere.radius / st.ground.geometry.parameters.width);
+    }
+    if (st.dirLight) fitShadowCamera(st.dirLight, sphere);
+    st.controls.update();
+  }
+  camera.updateProjectionMatrix();
+}
+
+// Helper: aim a directional light at the sphere's center from its original direction and fit
+// its orthographic shadow camera around the sphere, with room for the shadows it throws
+function fitShadowCamera(light, sphere) {
+  const r = sphere.radius;
+  const direction = light.position.clone().sub(light.target.position).normalize();
+  light.target.position.copy(sphere.center);
+  light.target.updateMatrixWorld();
+  light.position.copy(sphere.center).addScaledVector(direction, 3 * r);
+
+  const shadowCamera = light.shadow.camera;
+  shadowCamera.left = -1.5 * r;
+  shadowCamera.right = 1.5 * r;
+  shadowCamera.top = 1.5 * r;
+  shadowCamera.bottom = -1.5 * r;
+  shadowCamera.near = r;
+  shadowCamera.far = 5 * r;
+  shadowCamera.updateProjectionMatrix();
+}
 
 // OUTSIDE—at module scope, create and reuse these:
-const _trajSphereMat = new THREE.MeshBasicMaterial({
+// Points are drawn as shaded sphere impostors (one GL point each) instead of sphere meshes
+const _trajSpriteMat = new PointSpriteMaterial({
   transparent: true,
   opacity: 0.2,
-  vertexColors: true,    // allows per‐instance color
-  // Because it's MeshBasicMaterial, it does NOT cast or receive shadows
+  ambient: 1,   // unlit, flat colored like the old MeshBasicMaterial spheres
+  diffuse: 0,
+  specular: 0
 });
 
-// Shared sphere material for point clouds
-const _pointSphereMat = new THREE.MeshStandardMaterial({
-  transparent: true,
-  metalness: 0.5,
-  roughness: 0.5,
-  depthWrite: true,
-  flatShading: false
-});
+// Shared sprite material for point clouds
+const _pointSpriteMat = new PointSpriteMaterial();
+// Same spheres in the directional light's shadow map (dirLight.shadow.mapSize is 1024)
+const _pointSpriteDepthMat = _pointSpriteMat.createDepthMaterial(1024);
+
+// Helper: wrap positions + per-point colors into a sprite cloud sized for the dataset
+function createPointSprites(objName, positions, colors, material = _pointSpriteMat) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  material.radius = pointRadius(objName);
+
+  const points = new PointSprites(geometry, material);
+  points.frustumCulled = false;  // clouds stay in view, and streamed ones have no final bounds yet
+  if (material === _pointSpriteMat) {
+    points.castShadow = true;
+    points.customDepthMaterial = _pointSpriteDepthMat;
+  }
+  return points;
+}
 
-// Helper function to get point sphere geometry for a dataset
-function getPointSphereGeo(objName) {
-  const radius = pointSize[objName] || 0.006;
-  return new THREE.SphereGeometry(radius, 6, 4);
+// Helper: upload all frames of a sample into one hidden sprite cloud; its own material
+// blends them on the GPU for any `material.time` in [0, frames.length - 1]. Throws when the
+// frames need a larger texture than the GPU supports
+function createFrameSprites(objName, frames, colors) {
+  const material = new PointSpriteMaterial();
+  applyDisplaySettingsToMaterial(material, objName);
+  try {
+    material.setFrames(frames, sharedRenderer.capabilities.maxTextureSize);
+  } catch (err) {
+    material.dispose();
+    throw err;
+  }
+
+  const cloud = new PointSprites(createFrameGeometry(frames, colors), material);
+  cloud.frustumCulled = false;
+  cloud.castShadow = true;
+  cloud.customDepthMaterial = material.createDepthMaterial(1024);  // after setFrames: shares frames + time
+  cloud.visible = false;
+  return cloud;
 }
 
-// Helper function to get trajectory sphere geometry for a dataset (same as point sphere)
-function getTrajSphereGeo(objName) {
-  const radius = pointSize[objName] || 0.006;
-  return new THREE.SphereGeometry(radius, 6, 4);
+// Helper: remove a sampled viewer's cloud and free its frame texture
+function disposeFrameSprites(scene, cloud) {
+  if (!cloud) return;
+  scene.remove(cloud);
+  cloud.geometry.dispose();
+  cloud.material.dispose();
+  cloud.customDepthMaterial.dispose();
 }
 
-const frameInterval = 80;    // ms per frame
-const pauseDuration = 4000;  // ms to pause at last frame
-let slowMode = true;         // toggle "slow" vs "normal" playback
+// Input clouds above this many points are drawn through an octree that only shows as many
+// points as the screen can resolve (full-resolution oxford / bremen scans)
+const lodPointThreshold = 500000;
+
+// Helper: re-sort a loaded sprite cloud into a level-of-detail octree at the same pose
+function createPointOctree(cloud) {
+  const buildStartTime = performance.now();
+  const octree = new PointOctree(cloud.geometry, cloud.material);
+  octree.position.copy(cloud.position);
+  octree.quaternion.copy(cloud.quaternion);
+  octree.nodes.forEach((node) => {
+    node.points.castShadow = cloud.castShadow;
+    node.points.customDepthMaterial = cloud.customDepthMaterial;
+  });
+  const buildTime = performance.now() - buildStartTime;
+  console.log(`Built octree with ${octree.nodes.length} nodes for ${octree.pointCount} points in ${buildTime.toFixed(2)}ms`);
+  return octree;
+}
+
+const frameInterval = 160;   // ms per frame at 1x speed
+const pauseDuration = 4000;  // default ms to hold the last frame
+
+// Playback options, from the controls bar or the data-* attributes of .viewers-container
+// (see readPlaybackSettings)
+const loopModes = ['loop', 'pingpong', 'once'];
+const playbackSettings = {
+  speed: 1,                  // 0.25x – 4x
+  loopMode: 'loop',          // loop: next samples from the start, pingpong: play back, once: hold the end
+  reverse: false,            // play from the endpoint back to the input
+  holdDuration: pauseDuration
+};
 
 // 3) HSV → RGB HELPER (unchanged)
 function hsvToRgb(h, s, v) {
@@ -93,18 +334,636 @@ function hsvToRgb(h, s, v) {
   return [r, g, b];
 }
 
+// Helper: write `count` point colors at point `offset` of `target`:
+// RGB when the file has it, otherwise label hues, otherwise gray
+function writePointColors(target, offset, count, colors, labels, maxLabel) {
+  for (let k = 0; k < count; k++) {
+    const i = 3 * (offset + k);
+    if (colors) {
+      // RGB colors are already normalized (0-1) by the loaders
+      target[i] = colors[3 * k];
+      target[i + 1] = colors[3 * k + 1];
+      target[i + 2] = colors[3 * k + 2];
+    } else if (labels) {
+      const [r, g, b] = labelColor(labels[k], maxLabel);
+      target[i] = r;
+      target[i + 1] = g;
+      target[i + 2] = b;
+    } else {
+      target[i] = target[i + 1] = target[i + 2] = 0.5;
+    }
+  }
+}
+
+// Helper: categorical label / view-id color, hues spread over the labels present
+function labelColor(label, maxLabel) {
+  const hue = maxLabel > 0 ? (label / maxLabel) * 0.8 : 0;
+  const hue_remap = (hue + 0.548) % 1;
+  return hsvToRgb(hue_remap, 0.62, 0.46);
+}
+
+// 3b) COLOR MODES
+// Every viewer can color its points by one of these; height and displacement are mapped
+// on the GPU (they change while frames blend), the others are written into the color attribute
+const colorModes = {
+  rgb: 'Original',
+  height: 'Height',
+  intensity: 'Intensity',
+  label: 'Label / view',
+  displacement: 'Displacement'
+};
+const colormapNames = ['viridis', 'plasma', 'turbo'];
+const colormapTextures = {};  // created on first use, shared by all viewers
+
+function getColormapTexture(name) {
+  if (!colormapTextures[name]) colormapTextures[name] = createColormapTexture(name);
+  return colormapTextures[name];
+}
+
+// Helper: per-point data a viewer keeps to recolor itself, arrays in file order
+function createPointData(count, colors, labels, intensity, positions = null) {
+  let maxLabel = 0;
+  if (labels) {
+    for (let i = 0; i < count; i++) {
+      if (labels[i] > maxLabel) maxLabel = labels[i];
+    }
+  }
+  return { count, colors, labels, intensity, positions, maxLabel };
+}
+
+function colorModeAvailable(st, mode) {
+  const data = st.pointData;
+  if (mode === 'intensity') return !!(data && data.intensity);
+  if (mode === 'label') return !!(data && data.labels);
+  if (mode === 'displacement') return st.isSampled;
+  return true;
+}
+
+// Helper: [min, max] of world z over the viewer's points (all frames for sampled viewers)
+function heightRange(st) {
+  let min = Infinity;
+  let max = -Infinity;
+  const scan = (positions, e) => {
+    for (let i = 0; i < positions.length; i += 3) {
+      const z = e ? e[2] * positions[i] + e[6] * positions[i + 1] + e[10] * positions[i + 2] + e[14] : positions[i + 2];
+      if (z < min) min = z;
+      if (z > max) max = z;
+    }
+  };
+  if (st.isSampled) {
+    st.framePositions.forEach((positions) => {
+      if (positions) scan(positions, null);
+    });
+  } else if (st.pointData.positions && st.mesh) {
+    st.mesh.updateMatrixWorld();
+    scan(st.pointData.positions, st.mesh.matrixWorld.elements);
+  }
+  return min <= max ? [min, max] : [0, 1];
+}
+
+// Helper: [0, largest distance of a point to its position in the last frame]
+function displacementRange(st) {
+  const frames = st.framePositions.filter((positions) => positions !== null);
+  const last = frames[frames.length - 1];
+  let max = 0;
+  frames.forEach((positions) => {
+    if (positions.length !== last.length) return;
+    for (let i = 0; i < positions.length; i += 3) {
+      const dx = positions[i] - last[i];
+      const dy = positions[i + 1] - last[i + 1];
+      const dz = positions[i + 2] - last[i + 2];
+      const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (d > max) max = d;
+    }
+  });
+  return [0, max > 0 ? max : 1];
+}
+
+// Helper: write per-point colors (file order) into whatever the viewer draws
+function setViewerColors(st, colors) {
+  if (st.isSampled) {
+    if (!st.pointColors || st.pointColors.length !== colors.length) return;
+    st.pointColors.set(colors);  // shared with the cloud's color attribute and trajectories
+    st.cloud.geometry.attributes.color.needsUpdate = true;
+  } else if (st.octree) {
+    st.octree.setColors(colors);
+  } else if (st.mesh) {
+    const colorAttr = st.mesh.geometry.attributes.color;
+    colorAttr.array.set(colors.subarray(0, colorAttr.array.length));
+    colorAttr.needsUpdate = true;
+  }
+}
+
+// Recolor one viewer for st.colorMode / st.colormap and refresh its legend
+function applyColorMode(st) {
+  const data = st.pointData;
+  const material = st.isSampled ? (st.cloud && st.cloud.material) : _pointSpriteMat;
+
+  // Modes without data fall back to the original colors
+  const mode = colorModeAvailable(st, st.colorMode) ? st.colorMode : 'rgb';
+  if (st.colorSelects) {
+    st.colorSelects.mode.querySelectorAll('option').forEach((option) => {
+      option.disabled = !colorModeAvailable(st, option.value);
+    });
+    st.colorSelects.mode.value = mode;
+    st.colorSelects.colormap.disabled = mode === 'rgb' || mode === 'label';
+  }
+
+  if (!data || !material) {
+    updateColorLegend(st, null);
+    return;
+  }
+
+  let legend = null;
+
+  if (mode === 'height' || mode === 'displacement') {
+    const [min, max] = mode === 'height' ? heightRange(st) : displacementRange(st);
+    material.setColormap(getColormapTexture(st.colormap), mode);
+    material.scalarRange.set(min, max);
+    legend = { title: colorModes[mode], colormap: st.colormap, min, max };
+  } else {
+    material.setColormap(null);
+    const colors = new Float32Array(3 * data.count);
+
+    if (mode === 'intensity') {
+      let min = Infinity;
+      let max = -Infinity;
+      for (let i = 0; i < data.count; i++) {
+        if (data.intensity[i] < min) min = data.intensity[i];
+        if (data.intensity[i] > max) max = data.intensity[i];
+      }
+      const color = [0, 0, 0];
+      for (let i = 0; i < data.count; i++) {
+        evaluateColormap(st.colormap, max > min ? (data.intensity[i] - min) / (max - min) : 0, color);
+        colors.set(color, 3 * i);
+      }
+      legend = { title: colorModes[mode], colormap: st.colormap, min, max };
+    } else if (mode === 'label') {
+      writePointColors(colors, 0, data.count, null, data.labels, data.maxLabel);
+      legend = { title: colorModes[mode], labels: new Set(data.labels), maxLabel: data.maxLabel };
+    } else {
+      writePointColors(colors, 0, data.count, data.colors, data.labels, data.maxLabel);
+    }
+
+    setViewerColors(st, colors);
+  }
+
+  updateColorLegend(st, legend);
+  requestRender();
+}
+
+// Legend overlay: a colorbar with its range, or swatches for labels
+function updateColorLegend(st, legend) {
+  const el = st.legendEl;
+  if (!el) return;
+  el.innerHTML = '';
+  el.style.display = legend ? 'block' : 'none';
+  if (!legend) return;
+
+  const title = document.createElement('div');
+  title.classList.add('color-legend-title');
+  title.innerText = legend.title;
+  el.appendChild(title);
+
+  if (legend.colormap) {
+    const stops = [];
+    for (let i = 0; i <= 8; i++) {
+      const [r, g, b] = evaluateColormap(legend.colormap, i / 8);
+      stops.push(`rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`);
+    }
+    const bar = document.createElement('div');
+    bar.classList.add('color-legend-bar');
+    bar.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+    el.appendChild(bar);
+
+    const range = document.createElement('div');
+    range.classList.add('color-legend-range');
+    range.innerHTML = `<span>${legend.min.toFixed(2)}</span><span>${legend.max.toFixed(2)}</span>`;
+    el.appendChild(range);
+  } else {
+    const maxSwatches = 12;
+    const labels = Array.from(legend.labels).sort((a, b) => a - b);
+    labels.slice(0, maxSwatches).forEach((label) => {
+      const [r, g, b] = labelColor(label, legend.maxLabel);
+      const item = document.createElement('span');
+      item.classList.add('color-legend-item');
+      item.innerHTML = `<span class="color-legend-swatch" style="background: rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})"></span>${label}`;
+      el.appendChild(item);
+    });
+    if (labels.length > maxSwatches) {
+      const more = document.createElement('span');
+      more.classList.add('color-legend-item');
+      more.innerText = `+${labels.length - maxSwatches} more`;
+      el.appendChild(more);
+    }
+  }
+}
+
+// Color mode + colormap selectors and the legend, inside a viewer's container
+function createColorControls(st) {
+  const box = document.createElement('div');
+  box.classList.add('color-controls');
+
+  const modeSelect = document.createElement('select');
+  modeSelect.classList.add('color-mode');
+  Object.entries(colorModes).forEach(([mode, name]) => {
+    modeSelect.add(new Option(name, mode));
+  });
+
+  const colormapSelect = document.createElement('select');
+  colormapSelect.classList.add('color-map');
+  colormapNames.forEach((name) => colormapSelect.add(new Option(name, name)));
+
+  modeSelect.value = st.colorMode;
+  colormapSelect.value = st.colormap;
+  modeSelect.addEventListener('change', () => {
+    st.colorMode = modeSelect.value;
+    applyColorMode(st);
+  });
+  colormapSelect.addEventListener('change', () => {
+    st.colormap = colormapSelect.value;
+    applyColorMode(st);
+  });
+
+  // Eye-dome lighting toggle (see renderAll)
+  const edlLabel = document.createElement('label');
+  edlLabel.classList.add('edl-toggle');
+  edlLabel.title = 'Eye-dome lighting: shade points by depth, for clouds without colors';
+  const edlInput = document.createElement('input');
+  edlInput.type = 'checkbox';
+  edlInput.checked = st.edl;
+  edlInput.addEventListener('change', () => setViewerEdl(st, edlInput.checked));
+  edlLabel.appendChild(edlInput);
+  edlLabel.appendChild(document.createTextNode(' EDL'));
+
+  // Keep clicks on the selectors away from OrbitControls on the container
+  ['pointerdown', 'mousedown'].forEach((type) => {
+    box.addEventListener(type, (event) => event.stopPropagation());
+  });
+
+  box.appendChild(modeSelect);
+  box.appendChild(colormapSelect);
+  box.appendChild(edlLabel);
+  st.container.appendChild(box);
+
+  const legend = document.createElement('div');
+  legend.classList.add('color-legend');
+  legend.style.display = 'none';
+  st.container.appendChild(legend);
+
+  st.colorSelects = { mode: modeSelect, colormap: colormapSelect };
+  st.edlInput = edlInput;
+  st.legendEl = legend;
+  applyColorMode(st);
+}
+
+// Helper: switch eye-dome lighting of one viewer; the pass is created on first use
+function setViewerEdl(st, enabled) {
+  st.edl = enabled;
+  if (st.edlInput) st.edlInput.checked = enabled;
+  if (enabled && !st.edlPass) st.edlPass = new EyeDomeLighting();
+  requestRender();
+}
+
+// Helper: gray clouds (no rgb, no labels) get EDL by default, it is their only depth cue
+function enableEdlForGrayCloud(st) {
+  if (st.pointData && !st.pointData.colors && !st.pointData.labels) setViewerEdl(st, true);
+}
+
+// 3c) VIEW ISOLATION
+// The input viewer lists the views (scans) of the input cloud: its labels, or else the
+// distinct RGB colors the scans are painted with. Hiding, soloing and highlighting views
+// applies to every viewer, so one can follow a scan from the input to the flow endpoint.
+const maxViews = 64;  // more distinct colors than this are real RGB, not view colors
+
+function createViewSelection() {
+  return { views: [], keyIndex: new Map(), hidden: new Set(), solo: null, highlight: null };
+}
+let viewSelection = createViewSelection();
+
+// Helper: what identifies the view of point i, its label or its 8-bit RGB color
+function pointViewKey(data, i) {
+  if (data.labels) return data.labels[i];
+  if (data.colors) {
+    const r = Math.round(data.colors[3 * i] * 255);
+    const g = Math.round(data.colors[3 * i + 1] * 255);
+    const b = Math.round(data.colors[3 * i + 2] * 255);
+    return (r << 16) | (g << 8) | b;
+  }
+  return null;
+}
+
+// Helper: the views of the input cloud, null if it has no per-view labels or colors
+function findViews(data) {
+  const keyIndex = new Map();
+  const views = [];
+  for (let i = 0; i < data.count; i++) {
+    const key = pointViewKey(data, i);
+    if (key === null) return null;
+    let v = keyIndex.get(key);
+    if (v === undefined) {
+      if (views.length === maxViews) return null;
+      v = views.length;
+      keyIndex.set(key, v);
+      views.push({
+        key,
+        name: data.labels ? `Label ${key}` : `View ${v + 1}`,
+        color: data.labels ? labelColor(key, data.maxLabel) : [(key >> 16) / 255, ((key >> 8) & 255) / 255, (key & 255) / 255],
+        count: 0
+      });
+    }
+    views[v].count++;
+  }
+  return { views, keyIndex };
+}
+
+// 0 shown, 1 dimmed, 2 hidden (the pointState values of PointSpriteMaterial)
+function viewState(v) {
+  if (v < 0) return 0;
+  if (viewSelection.hidden.has(v) || (viewSelection.solo !== null && viewSelection.solo !== v)) return 2;
+  if (viewSelection.highlight !== null && viewSelection.highlight !== v) return 1;
+  return 0;
+}
+
+// Helper: write per-point states into a geometry, reusing its buffer
+function setPointStates(geometry, states) {
+  const attr = geometry.attributes.pointState;
+  if (attr && attr.array.length === states.length) {
+    attr.array.set(states);
+    attr.needsUpdate = true;
+  } else {
+    geometry.setAttribute('pointState', new THREE.BufferAttribute(states, 1));
+  }
+}
+
+// Apply the current view selection to one viewer (points and trajectories)
+function applyViewSelection(st) {
+  const data = st.pointData;
+  if (!data) return;
+
+  // Points of views the input doesn't have stay visible (-1)
+  if (st.pointViewsData !== data || st.pointViewsKeys !== viewSelection.keyIndex) {
+    st.pointViews = new Int32Array(data.count);
+    for (let i = 0; i < data.count; i++) {
+      const v = viewSelection.keyIndex.get(pointViewKey(data, i));
+      st.pointViews[i] = v === undefined ? -1 : v;
+    }
+    st.pointViewsData = data;
+    st.pointViewsKeys = viewSelection.keyIndex;
+  }
+
+  const states = new Float32Array(data.count);
+  for (let i = 0; i < data.count; i++) states[i] = viewState(st.pointViews[i]);
+  st.pointStates = states;
+
+  if (st.isSampled) {
+    if (st.cloud && st.cloud.geometry.attributes.position.count === data.count) setPointStates(st.cloud.geometry, states);
+    st.trajectorySpheres.forEach((trajCloud) => {
+      const sourceIndex = trajCloud.userData.sourceIndex;
+      if (sourceIndex) setPointStates(trajCloud.geometry, Float32Array.from(sourceIndex, (i) => states[i]));
+    });
+  } else if (st.octree) {
+    st.octree.setPointAttribute('pointState', states, 1);
+  } else if (st.mesh) {
+    setPointStates(st.mesh.geometry, states);
+  }
+  requestRender();
+}
+
+function applyViewSelectionToAll() {
+  allStates.forEach((st) => applyViewSelection(st));
+  if (inputState) updateViewList(inputState);
+}
+
+// Collapsible list of views with show / solo / highlight controls, in the input viewer
+function createViewList(st) {
+  const box = document.createElement('details');
+  box.classList.add('view-list');
+  box.style.display = 'none';
+
+  // Keep clicks on the list away from OrbitControls on the container
+  ['pointerdown', 'mousedown'].forEach((type) => {
+    box.addEventListener(type, (event) => event.stopPropagation());
+  });
+
+  st.container.appendChild(box);
+  st.viewListEl = box;
+}
+
+function updateViewList(st) {
+  const box = st.viewListEl;
+  if (!box) return;
+  const views = viewSelection.views;
+  box.style.display = views.length > 1 ? 'block' : 'none';
+
+  const open = box.open;
+  box.innerHTML = '';
+  box.open = open;
+
+  const summary = document.createElement('summary');
+  summary.innerText = `Views (${views.length})`;
+  box.appendChild(summary);
+
+  const reset = document.createElement('button');
+  reset.classList.add('view-reset');
+  reset.innerText = 'Show all';
+  reset.addEventListener('click', () => {
+    viewSelection.hidden.clear();
+    viewSelection.solo = null;
+    viewSelection.highlight = null;
+    applyViewSelectionToAll();
+  });
+  box.appendChild(reset);
+
+  views.forEach((view, v) => {
+    const row = document.createElement('div');
+    row.classList.add('view-row');
+    if (viewState(v) === 2) row.classList.add('is-hidden');
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !viewSelection.hidden.has(v);
+    checkbox.title = 'Show / hide';
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) viewSelection.hidden.delete(v);
+      else viewSelection.hidden.add(v);
+      applyViewSelectionToAll();
+    });
+
+    const [r, g, b] = view.color;
+    const name = document.createElement('span');
+    name.classList.add('view-name');
+    name.innerHTML = `<span class="color-legend-swatch" style="background: rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})"></span>${view.name}`;
+    name.title = `${view.count} points`;
+
+    const toggle = (text, title, key) => {
+      const button = document.createElement('button');
+      button.innerText = text;
+      button.title = title;
+      button.classList.toggle('is-active', viewSelection[key] === v);
+      button.addEventListener('click', () => {
+        viewSelection[key] = viewSelection[key] === v ? null : v;
+        applyViewSelectionToAll();
+      });
+      return button;
+    };
+
+    row.appendChild(checkbox);
+    row.appendChild(name);
+    row.appendChild(toggle('S', 'Solo', 'solo'));
+    row.appendChild(toggle('H', 'Highlight', 'highlight'));
+    box.appendChild(row);
+  });
+}
+
+// 3d) DISPLAY SETTINGS
+// Point size, opacity, lighting and shadows from the controls bar. They outlive tab switches
+// and are applied to the materials and lights in place, so no frame is reloaded.
+const displaySettings = {
+  pointScale: 1,   // multiplies the scene's pointSize radius
+  opacity: 1,
+  lighting: 1,     // 0 = flat colors, 1 = default shading, 2 = twice the shading contrast
+  shadows: true
+};
+
+// Helper: point radius of a dataset at the current size setting
+function pointRadius(objName) {
+  return scenePointSize(objName) * displaySettings.pointScale;
+}
+
+// Helper: copy the settings onto one point cloud material
+function applyDisplaySettingsToMaterial(material, objName) {
+  material.radius = pointRadius(objName);
+  material.opacity = displaySettings.opacity;
+  const transparent = displaySettings.opacity < 1;
+  if (material.transparent !== transparent) {
+    material.transparent = transparent;
+    material.needsUpdate = true;
+  }
+  // Scale the lit part of the shading and darken the ambient part to match (0.75 / 0.45 / 0.15 at 1)
+  material.ambient = 1 - 0.25 * displaySettings.lighting;
+  material.diffuse = 0.45 * displaySettings.lighting;
+  material.specular = 0.15 * displaySettings.lighting;
+}
+
+// Helper: apply the settings to every open viewer
+function applyDisplaySettings() {
+  allStates.forEach((st) => {
+    const material = st.isSampled ? (st.cloud && st.cloud.material) : _pointSpriteMat;
+    if (material) applyDisplaySettingsToMaterial(material, st.objName);
+    // Trajectory dots keep their own faint, flat look and only follow the size
+    if (st.isSampled) _trajSpriteMat.radius = pointRadius(st.objName);
+    st.scene.traverse((obj) => {
+      if (obj.isDirectionalLight) obj.castShadow = displaySettings.shadows;
+    });
+  });
+  requestRender();
+}
+
 // 4) GLOBAL STATE
 let isPaused = false;
 let autoResample = true;
-let currentFrameIdx = 0;
+let playhead = 0;               // continuous frame time in [0, totalFrames - 1]
+let playFrameId = null;         // requestAnimationFrame handle of the playback loop
 let playTimeoutId = null;
 let currentSession = 0;         // “session stamp” to cancel stale loads/timeouts
 let isSyncing = false;          // guard for OrbitControl sync
 let inputState = null;
 let sampledStates = [];
 let allStates = [];
+let sharedRenderer = null;      // one WebGL context for every viewer on the page
+let renderFrameId = null;       // pending requestRender() frame, null when idle
+let timeline = null;            // scrubber under the sampled viewers, see createTimeline
+let playDirection = 1;          // +1 forward, -1 backward (reverse playback, ping-pong)
+
+// Parses PCD files in Web Workers so orbiting and auto-rotate stay smooth while frames load
+const globalLoader = new PCDWorkerLoader();
+const globalExporter = new PCDExporter();
+const plyLoader = new PLYLoader();
+const lasLoader = new LASLoader();
+const npyLoader = new NPYLoader();
+
+// File URLs from the scene's "files" templates, relative to its folder under pcd/.
+// The file extension decides which loader parses a file (PCD, PLY or LAS).
+function sceneFileUrl(objName, template, sampleId = '', t = 0) {
+  const scene = sceneConfig(objName);
+  const file = template.replaceAll('{sample}', sampleId).replaceAll('{t}', t);
+  return `pcd/${scene.path}/${file}`;
+}
+
+function inputUrl(objName) {
+  return sceneFileUrl(objName, sceneConfig(objName).files.input);
+}
+
+function frameUrl(objName, sampleId, t) {
+  return sceneFileUrl(objName, sceneConfig(objName).files.frames, sampleId, t);
+}
+
+// Scenes with a "trajectory" file take their sampled frames from one NumPy file of shape
+// (T, N, 3) per sample instead of `totalFrames` step files, and T sizes the timeline (see
+// setTotalFrames). An .npz may also hold
+// per-point `colors` (N, 3) and `labels` (N,) next to its `trajectory` array.
+function hasTrajectoryFile(objName) {
+  return !!sceneConfig(objName).files.trajectory;
+}
+
+function trajectoryUrl(objName, sampleId) {
+  return sceneFileUrl(objName, sceneConfig(objName).files.trajectory, sampleId);
+}
+
+// Load a point cloud with the loader matching its extension; always hands a THREE.Points to onLoad
+function loadPointCloud(url, onLoad, onProgress, onError) {
+  const ext = url.split('.').pop().toLowerCase();
+  if (ext === 'ply') {
+    plyLoader.load(
+      url,
+      (geometry) => {
+        const material = new THREE.PointsMaterial({ size: 0.005, vertexColors: !!geometry.attributes.color });
+        onLoad(new THREE.Points(geometry, material));
+      },
+      onProgress,
+      onError
+    );
+  } else if (ext === 'las') {
+    // LASLoader already returns THREE.Points, recentered on the survey bounds
+    lasLoader.load(url, onLoad, onProgress, onError);
+  } else {
+    globalLoader.load(url, onLoad, onProgress, onError);
+  }
+}
 
-const globalLoader = new PCDLoader();
+// Overlay text for a failed load: parse errors say exactly what is wrong with the file
+function loadErrorText(err) {
+  if (err instanceof PCDParseError) {
+    return `Error: ${err.message.replace(/^THREE\.PCDLoader: /, '')}`;
+  }
+  if (err instanceof Error && /^THREE\.(NPYLoader|PointSpriteMaterial): /.test(err.message)) {
+    return `Error: ${err.message.replace(/^THREE\.\w+: /, '')}`;
+  }
+  return 'Error';
+}
+
+// Progressive variant: PCD streams row chunks, other formats arrive as one chunk
+function loadPointCloudProgressive(url, onChunk, onLoad, onProgress, onError) {
+  const ext = url.split('.').pop().toLowerCase();
+  if (ext === 'pcd') {
+    globalLoader.loadProgressive(url, onChunk, onLoad, onProgress, onError);
+    return;
+  }
+  loadPointCloud(
+    url,
+    (points) => {
+      const attributes = points.geometry.attributes;
+      const count = attributes.position ? attributes.position.count : 0;
+      if (count > 0) {
+        onChunk({ start: 0, count, attributes }, { points: count });
+      }
+      onLoad(points);
+    },
+    onProgress,
+    onError
+  );
+}
 
 // --- TRAJ GLOBALS ---
 let showTrajectories = false;    // tracks whether trajectories should be visible
@@ -112,12 +971,13 @@ let showTrajectories = false;    // tracks whether trajectories should be visibl
 
 // 5) UTILITY: PICK FIRST TWO SAMPLES (no random shuffle)
 function pickTwoFixedSamples(objName) {
-  if (!sampleMap || sampleMap.length < 2) {
-    console.error(`Need ≥2 samples.`);
-    return sampleMap ? sampleMap.slice(0, 2) : [];
+  const samples = sceneConfig(objName).samples;
+  if (samples.length < 2) {
+    console.warn(`Scene ${objName} has one sample, both viewers show it`);
+    return [samples[0], samples[0]];
   }
   // Always return the first two samples in order
-  return [sampleMap[0], sampleMap[1]];
+  return [samples[0], samples[1]];
 }
 
 // 6) SYNC HELPERS FOR ORBITCONTROLS (unchanged)
@@ -157,6 +1017,28 @@ function checkWebGLSupport() {
   }
 }
 
+// Helper: the one renderer all viewers draw through. Its canvas covers the window without
+// taking input; each viewer is a scissored viewport over its container's rectangle, so the
+// page never needs more than one WebGL context. Returns null without WebGL.
+function getSharedRenderer() {
+  if (sharedRenderer) return sharedRenderer;
+  if (!checkWebGLSupport()) return null;
+
+  try {
+    sharedRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    sharedRenderer.setClearColor(0x000000, 0);  // transparent outside the viewers
+    sharedRenderer.setScissorTest(true);
+    sharedRenderer.shadowMap.enabled = true;
+    sharedRenderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    sharedRenderer.domElement.classList.add('viewer-canvas');
+    document.body.appendChild(sharedRenderer.domElement);
+  } catch (error) {
+    console.error('Failed to create WebGL renderer:', error);
+    sharedRenderer = null;
+  }
+  return sharedRenderer;
+}
+
 // Helper function to show WebGL error message
 function showWebGLError(container) {
   const errorDiv = document.createElement('div');
@@ -189,38 +1071,42 @@ function showWebGLError(container) {
 }
 
 // 7) INITIALIZE A STATIC INPUT VIEWER (colored by label) (unchanged)
+
+// Wireframe pyramid of a sensor at the origin looking down +Z (the PCD sensor frame)
+function createSensorFrustum(depth, aspect) {
+  const h = depth * Math.tan(THREE.MathUtils.degToRad(30));  // 60° vertical field of view
+  const w = h * aspect;
+  const corners = [[-w, -h], [w, -h], [w, h], [-w, h]];
+  const vertices = [];
+  corners.forEach(([x, y], i) => {
+    const [nx, ny] = corners[(i + 1) % 4];
+    vertices.push(0, 0, 0, x, y, depth);        // apex → corner
+    vertices.push(x, y, depth, nx, ny, depth);  // base edge
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+  return new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0xd9534f }));
+}
+
 function initInputViewer(container, objName) {
   const width  = container.clientWidth;
   const height = container.clientHeight;
 
-  // Check WebGL support
-  if (!checkWebGLSupport()) {
+  // All viewers draw through the shared renderer
+  if (!getSharedRenderer()) {
     showWebGLError(container);
     return null;
   }
 
-  // Scene, camera, renderer
+  // Scene, camera
   const scene = new THREE.Scene();
   scene.background = new THREE.Color(0xFCFCFC);
 
-  const fov = cameraFOV[objName] || 20; // Default to 20 if dataset not found
-  const camera = new THREE.PerspectiveCamera(fov, width / height, 0.1, 1000);
+  const config = sceneConfig(objName);
+  const camera = new THREE.PerspectiveCamera(sceneFov(objName), width / height, 0.1, 1000);
   camera.up.set(0, 0, 1); // Set Z-axis as up for Z-up point clouds
-  camera.position.set(0, 1.4, 5);
-  camera.lookAt(0, 0, 0);
-
-  let renderer;
-  try {
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(width, height);
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    container.appendChild(renderer.domElement);
-  } catch (error) {
-    console.error('Failed to create WebGL renderer:', error);
-    showWebGLError(container);
-    return null;
-  }
+  camera.position.fromArray(config.inputCamera.position);
+  camera.lookAt(...config.inputCamera.target);
 
   // Lights
   const ambient = new THREE.AmbientLight(0xffffff, 1.8);
@@ -228,7 +1114,7 @@ function initInputViewer(container, objName) {
   const dirLight = new THREE.DirectionalLight(0xffffff, 0.4);
   // For Z-up: light comes from above (positive Z), positioned in XY plane
   dirLight.position.set(5, 5, 12);
-  dirLight.castShadow = true;
+  dirLight.castShadow = displaySettings.shadows;
   dirLight.shadow.mapSize.width = 1024;
   dirLight.shadow.mapSize.height = 1024;
   dirLight.shadow.camera.near = 1;
@@ -242,15 +1128,6 @@ function initInputViewer(container, objName) {
   dirLight.shadow.camera.up.set(0, 1, 0);
   scene.add(dirLight);
 
-  // Handle window resize
-  window.addEventListener('resize', () => {
-    const w = container.clientWidth;
-    const h = container.clientHeight;
-    renderer.setSize(w, h);
-    camera.aspect = w / h;
-    camera.updateProjectionMatrix();
-  });
-
   // “Loading…” overlay
   const loading = document.createElement('div');
   loading.classList.add('loading');
@@ -258,14 +1135,18 @@ function initInputViewer(container, objName) {
   container.appendChild(loading);
 
   // OrbitControls (auto‐rotate + drag‐pause + sync)
-  const controls = new OrbitControls(camera, renderer.domElement);
-  controls.target.set(0, 0, 0);
+  // The shared canvas ignores pointer events, so the controls listen on the container
+  const controls = new OrbitControls(camera, container);
+  controls.target.fromArray(config.inputCamera.target);
   controls.enablePan = false;
   controls.enableZoom = false;
   controls.autoRotate = true;
   controls.autoRotateSpeed = 2;
   controls.update();
 
+  // Only viewers on screen are drawn (see requestRender)
+  viewerObserver.observe(container);
+
   controls.userIsInteracting = false;
   controls.domElement.addEventListener('mousedown', () => {
     controls.userIsInteracting = true;
@@ -289,132 +1170,204 @@ function initInputViewer(container, objName) {
       st.controls.autoRotate = true;
     });
     syncAnglesFrom(controls);
+    requestRender();
   });
   controls.addEventListener('change', () => {
+    requestRender();
     if (controls.userIsInteracting) {
       syncAnglesFrom(controls);
     }
   });
 
-  // LOAD "pcd/${objName}/input.pcd" and build InstancedMesh of spheres
-  const pcdUrl = `pcd/${objName}/input.pcd`;
+  // STREAM "pcd/${objName}/input.pcd" (or .ply) and grow a sprite cloud as rows arrive
+  const pcdUrl = inputUrl(objName);
+  const mySession = currentSession;
   console.log(`Loading input PCD: ${pcdUrl}`);
   const inputLoadStartTime = performance.now();
-  globalLoader.load(
+
+  let cloud = null;
+  let maxLabel = 0;
+
+  // The shared material may still carry the last viewer's colormap
+  _pointSpriteMat.setColormap(null);
+  applyDisplaySettingsToMaterial(_pointSpriteMat, objName);
+
+  // Write points [start, start + count) from one decoded chunk
+  function writePoints(start, count, positions, colors, labels) {
+    const posAttr = cloud.geometry.attributes.position;
+    const colorAttr = cloud.geometry.attributes.color;
+    posAttr.array.set(positions.subarray(0, 3 * count), 3 * start);
+    writePointColors(colorAttr.array, start, count, colors, labels, maxLabel);
+    posAttr.needsUpdate = true;
+    colorAttr.needsUpdate = true;
+    requestRender();
+  }
+
+  loadPointCloudProgressive(
     pcdUrl,
+    (chunk, header) => {
+      if (mySession !== currentSession) return;
+
+      const posAttr = chunk.attributes.position;
+      if (!posAttr) return;
+
+      if (!cloud) {
+        // The header tells how many points are coming, so allocate once and grow the draw range
+        const N = header.points;
+        console.log(`Input PCD has ${N} points`);
+        if (N > lodPointThreshold) {
+          console.log(`Large input point cloud (${N} points), switching to octree LOD once it has loaded`);
+        }
+
+        cloud = createPointSprites(objName, new Float32Array(3 * N), new Float32Array(3 * N));
+        cloud.geometry.setDrawRange(0, 0);
+        if (header.viewpoint) {
+          // Show the unposed scan at its sensor origin: VIEWPOINT is tx ty tz qw qx qy qz
+          const vp = header.viewpoint;
+          cloud.position.set(vp[0], vp[1], vp[2]);
+          cloud.quaternion.set(vp[4], vp[5], vp[6], vp[3]).normalize();
+        }
+        scene.add(cloud);
+        inputState.mesh = cloud;
+
+        // Keep the percentage visible without hiding the points behind the overlay
+        loading.classList.add('is-streaming');
+      }
+
+      const labels = chunk.attributes.label ? chunk.attributes.label.array : null;
+      if (labels) {
+        for (let k = 0; k < chunk.count; k++) {
+          if (labels[k] > maxLabel) maxLabel = labels[k];
+        }
+      }
+      const colors = chunk.attributes.color ? chunk.attributes.color.array : null;
+      writePoints(chunk.start, chunk.count, posAttr.array, colors, labels);
+      cloud.geometry.setDrawRange(0, Math.max(cloud.geometry.drawRange.count, chunk.start + chunk.count));
+    },
     (points) => {
+      if (mySession !== currentSession) return;
+
       const inputLoadTime = performance.now() - inputLoadStartTime;
       console.log(`Loaded input PCD in ${inputLoadTime.toFixed(2)}ms`);
-      
+
       const geom = points.geometry;
       const posAttr = geom.attributes.position;
-      const lblAttr = geom.attributes.label;
 
-      if (!posAttr) {
+      if (!posAttr || !cloud) {
         console.error(`No position attribute in ${pcdUrl}`);
+        loading.classList.remove('is-streaming');
         loading.innerText = 'Error';
         return;
       }
 
-      const positions = posAttr.array;
-      const N = positions.length / 3;
-      console.log(`Input PCD has ${N} points`);
-      
-      // Check if point cloud is too large
-      if (N > 1000000) {
-        console.warn(`Warning: Very large input point cloud (${N} points) may cause performance issues`);
-      }
-      
-      const labels = lblAttr ? lblAttr.array : null;
       const colorAttr = geom.attributes.color;  // Check for RGB color attribute
-      const colors = colorAttr ? colorAttr.array : null;
-      
-      if (colors) {
+      const lblAttr = geom.attributes.label;
+      if (colorAttr) {
         console.log(`Using RGB colors from PCD file`);
-      } else if (labels) {
+      } else if (lblAttr) {
         console.log(`Using label-based coloring`);
+        // (early chunks were colored before the largest label was known, applyColorMode below fixes them)
       } else {
         console.log(`Using default gray coloring`);
       }
-      const sphereGeo = getPointSphereGeo(objName);
-      const instMesh = new THREE.InstancedMesh(sphereGeo, _pointSphereMat, N);
-      instMesh.castShadow = true;
-      instMesh.receiveShadow = false;
 
-      const dummyMatrix = new THREE.Matrix4();
-      const color = new THREE.Color();
-
-      let maxLabel = 0;
-      if (labels) {
-        for (let i = 0; i < N; i++) {
-          if (labels[i] > maxLabel) maxLabel = labels[i];
-        }
+      // Large clouds: from here on only draw the points the viewer can resolve
+      if (posAttr.count > lodPointThreshold) {
+        const octree = createPointOctree(cloud);
+        scene.remove(cloud);
+        cloud.geometry.dispose();
+        cloud = null;
+        scene.add(octree);
+        inputState.mesh = octree;
+        inputState.octree = octree;
+        requestRender();
       }
 
-      const meshStartTime = performance.now();
-      
-      // For very large point clouds, warn user
-      if (N > 500000) {
-        console.warn(`Large input point cloud detected (${N} points). This may take a moment...`);
+      // Keep what the color modes need and color the finished cloud
+      const intensityAttr = geom.attributes.intensity;
+      inputState.pointData = createPointData(
+        posAttr.count,
+        colorAttr ? colorAttr.array : null,
+        lblAttr ? lblAttr.array : null,
+        intensityAttr ? intensityAttr.array : null,
+        posAttr.array
+      );
+      // Measured where it is drawn: scans with a VIEWPOINT sit at their sensor pose
+      inputState.mesh.updateMatrixWorld();
+      addSceneBounds(objName, 'input', posAttr.array, inputState.mesh.matrixWorld);
+      applyColorMode(inputState);
+      enableEdlForGrayCloud(inputState);
+
+      // List the scans of the input and share them with the sampled viewers
+      const found = findViews(inputState.pointData);
+      if (found) {
+        viewSelection = Object.assign(createViewSelection(), found);
+        console.log(`Input cloud has ${found.views.length} views`);
       }
-      
-      for (let i = 0; i < N; i++) {
-        const x = positions[3 * i];
-        const y = positions[3 * i + 1];
-        const z = positions[3 * i + 2];
-        dummyMatrix.makeTranslation(x, y, z);
-        instMesh.setMatrixAt(i, dummyMatrix);
-
-        // Use RGB color if available, otherwise use label-based coloring
-        if (colors) {
-          // RGB colors are already normalized (0-1) from PCDLoader
-          const r = colors[3 * i];
-          const g = colors[3 * i + 1];
-          const b = colors[3 * i + 2];
-          color.setRGB(r, g, b);
-        } else if (labels) {
-          const lbl = labels[i];
-          const hue = maxLabel > 0 ? (lbl / maxLabel) * 0.8 : 0;
-          const hue_remap = (hue + 0.548) % 1;
-          const [r, g, b] = hsvToRgb(hue_remap, 0.62, 0.46);
-          color.setRGB(r, g, b);
-        } else {
-          color.setRGB(0.5, 0.5, 0.5);
-        }
-        instMesh.setColorAt(i, color);
+      applyViewSelectionToAll();
+
+      // Mark the sensor pose of scans that state one
+      const viewpoint = points.userData.viewpoint;
+      if (viewpoint && (viewpoint.position.lengthSq() > 0 || Math.abs(viewpoint.quaternion.w) < 1)) {
+        const radius = geom.boundingSphere ? geom.boundingSphere.radius : 1;
+        const aspect = points.userData.organized ? points.userData.width / points.userData.height : 4 / 3;
+        const frustum = createSensorFrustum(0.15 * radius, aspect);
+        frustum.position.copy(viewpoint.position);
+        frustum.quaternion.copy(viewpoint.quaternion);
+        scene.add(frustum);
+        inputState.frustum = frustum;
+        requestRender();
+        console.log(`Input scan viewpoint at (${viewpoint.position.toArray().map((v) => v.toFixed(2)).join(', ')})`);
+      }
+      if (points.userData.organized) {
+        console.log(`Input PCD is organized: ${points.userData.width} × ${points.userData.height}`);
       }
-      const meshTime = performance.now() - meshStartTime;
-      console.log(`Created input InstancedMesh in ${meshTime.toFixed(2)}ms`);
 
-      scene.add(instMesh);
+      loading.classList.remove('is-streaming');
       loading.style.display = 'none';
-      inputState.mesh = instMesh;
 
       geom.dispose();
       points.material.dispose();
     },
     (progress) => {
-      // Log progress for large files
-      if (progress.lengthComputable && progress.total > 1000000) {
-        console.log(`Loading input PCD: ${(progress.loaded / progress.total * 100).toFixed(1)}%`);
+      if (mySession !== currentSession) return;
+      if (progress.lengthComputable) {
+        loading.innerText = `Loading… ${Math.floor(progress.loaded / progress.total * 100)}%`;
+      } else {
+        loading.innerText = `Loading… ${(progress.loaded / 1048576).toFixed(1)} MB`;
       }
     },
     (err) => {
       console.error(`Error loading input PCD ${pcdUrl}:`, err);
       console.error(`Error details:`, err.message || err);
-      loading.innerText = 'Error';
+      if (mySession !== currentSession) return;
+      loading.classList.remove('is-streaming');
+      loading.style.display = 'flex';
+      loading.innerText = loadErrorText(err);
     }
   );
 
-  return {
+  const state = {
     container,
     scene,
     camera,
-    renderer,
     controls,
+    dirLight,                      // shadow caster, fitted by applySceneFraming
+    objName,
     mesh: null,
+    octree: null,                  // level of detail for large clouds, replaces mesh once loaded
+    frustum: null,
+    pointData: null,               // per-point data for color modes, once loaded
+    colorMode: 'rgb',
+    colormap: colormapNames[0],
+    edl: false,                    // eye-dome lighting, see setViewerEdl
+    edlPass: null,
+    inView: true,
     isSampled: false
   };
+  createColorControls(state);
+  createViewList(state);
+  return state;
 }
 
 // 8) INITIALIZE A "SAMPLED" VIEWER (20‐frame animation)
@@ -422,34 +1375,21 @@ function initSampledViewer(container, objName, initialSampleId) {
   const width  = container.clientWidth;
   const height = container.clientHeight;
 
-  // Check WebGL support
-  if (!checkWebGLSupport()) {
+  // All viewers draw through the shared renderer
+  if (!getSharedRenderer()) {
     showWebGLError(container);
     return null;
   }
 
-  // Scene, camera, renderer
+  // Scene, camera
   const scene = new THREE.Scene();
   scene.background = new THREE.Color(0xFCFCFC);
 
-  const fov = cameraFOV[objName] || 20; // Default to 20 if dataset not found
-  const camera = new THREE.PerspectiveCamera(fov, width / height, 0.1, 1000);
+  const config = sceneConfig(objName);
+  const camera = new THREE.PerspectiveCamera(sceneFov(objName), width / height, 0.1, 1000);
   camera.up.set(0, 0, 1); // Set Z-axis as up for Z-up point clouds
-  camera.position.set(0, viewerParams.cameraY, 5);
-  camera.lookAt(0, 0, 0);
-
-  let renderer;
-  try {
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(width, height);
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    container.appendChild(renderer.domElement);
-  } catch (error) {
-    console.error('Failed to create WebGL renderer:', error);
-    showWebGLError(container);
-    return null;
-  }
+  camera.position.fromArray(config.camera.position);
+  camera.lookAt(...config.camera.target);
 
   // Lights
   const ambient = new THREE.AmbientLight(0xffffff, 1.8);
@@ -457,7 +1397,7 @@ function initSampledViewer(container, objName, initialSampleId) {
   const dirLight = new THREE.DirectionalLight(0xffffff, 0.6);
   // For Z-up: light comes from above (positive Z), positioned in XY plane
   dirLight.position.set(5, 5, 12);
-  dirLight.castShadow = true;
+  dirLight.castShadow = displaySettings.shadows;
   dirLight.shadow.mapSize.width = 1024;
   dirLight.shadow.mapSize.height = 1024;
   dirLight.shadow.camera.near = 1;
@@ -477,19 +1417,10 @@ function initSampledViewer(container, objName, initialSampleId) {
   const ground = new THREE.Mesh(planeGeo, planeMat);
   // No rotation needed - PlaneGeometry is already in XY plane by default
   // Position using Z coordinate for Z-up coordinate system
-  ground.position.z = viewerParams.groundHeight;
+  ground.position.z = config.groundHeight;
   ground.receiveShadow = true;
   scene.add(ground);
 
-  // Handle window resize
-  window.addEventListener('resize', () => {
-    const w = container.clientWidth;
-    const h = container.clientHeight;
-    renderer.setSize(w, h);
-    camera.aspect = w / h;
-    camera.updateProjectionMatrix();
-  });
-
   // “Loading…” overlay
   const loading = document.createElement('div');
   loading.classList.add('loading');
@@ -497,14 +1428,18 @@ function initSampledViewer(container, objName, initialSampleId) {
   container.appendChild(loading);
 
   // OrbitControls (auto‐rotate + drag‐pause + sync)
-  const controls = new OrbitControls(camera, renderer.domElement);
-  controls.target.set(0, 0, 0);
+  // The shared canvas ignores pointer events, so the controls listen on the container
+  const controls = new OrbitControls(camera, container);
+  controls.target.fromArray(config.camera.target);
   controls.enablePan = false;
   controls.enableZoom = false;
   controls.autoRotate = true;
   controls.autoRotateSpeed = 2;
   controls.update();
 
+  // Only viewers on screen are drawn (see requestRender)
+  viewerObserver.observe(container);
+
   controls.userIsInteracting = false;
   controls.domElement.addEventListener('mousedown', () => {
     controls.userIsInteracting = true;
@@ -525,15 +1460,16 @@ function initSampledViewer(container, objName, initialSampleId) {
     });
     document.getElementById('btn-rotate').disabled = false;
     syncAnglesFrom(controls);
+    requestRender();
   });
   controls.addEventListener('change', () => {
+    requestRender();
     if (controls.userIsInteracting) {
       syncAnglesFrom(controls);
     }
   });
 
-  // Prepare arrays for frames
-  const frameMeshes = new Array(totalFrames).fill(null);
+  // Prepare arrays for frames (all of them end up in one cloud, see createFrameSprites)
   const framePositions = new Array(totalFrames).fill(null);
   let N_points = 0;  // will be known once frame 0 loads
 
@@ -547,79 +1483,137 @@ function initSampledViewer(container, objName, initialSampleId) {
     container,
     scene,
     camera,
-    renderer,
     controls,
-    frameMeshes,
+    dirLight,                      // shadow caster, fitted by applySceneFraming
+    cloud: null,                   // sprite cloud holding every frame of the current sample
+    pointColors: null,             // its per-point colors
+    pointData: null,               // per-point data for color modes
+    colorMode: 'rgb',
+    colormap: colormapNames[0],
+    edl: false,                    // eye-dome lighting, see setViewerEdl
+    edlPass: null,
     framePositions,
     N_points,
     currentSampleId: null,
     loadingOverlay: loading,
+    inView: true,
     isSampled: true,
     session: mySession,
     trajectorySpheres,             // ← TRAJ
+    ground,                        // shadow catcher, moved by applySceneFraming
     objName,                       // Store object name
-    totalFrames,                   // Store total frames (shared across all datasets)
+    totalFrames,                   // Store total frames (from the scene's manifest entry)
     viewerIndex: null              // Will be set to 0 (left) or 1 (right) by selectObject
   };
 
+  createColorControls(state);
+
   // Helper: always return the same sample based on viewer position
   // Left viewer (index 0) always uses first sample, right viewer (index 1) always uses second sample
   function pickRandomSample() {
-    if (sampleMap.length === 1) return sampleMap[0];
+    const samples = config.samples;
+    if (samples.length === 1) return samples[0];
     // Use the viewerIndex stored in state (0 = left, 1 = right)
     if (state.viewerIndex === 0) {
       // Left viewer: always use first sample
-      return sampleMap[0];
+      return samples[0];
     } else {
       // Right viewer: always use second sample
-      return sampleMap[1];
+      return samples[1];
     }
   }
 
-  // Helper: build an interpolated InstancedMesh for frames (unchanged)
-  function buildInterpolatedMesh(t0, t1) {
-    const pos0 = state.framePositions[t0];
-    const pos1 = state.framePositions[t1];
-    if (!pos0 || !pos1) return null;
-
-    const sphereGeo = getPointSphereGeo(objName);
-    const mesh = new THREE.InstancedMesh(sphereGeo, _pointSphereMat, state.N_points);
-    mesh.castShadow = true;
-    mesh.receiveShadow = false;
-
-    const dummyMatrix = new THREE.Matrix4();
-    const color = new THREE.Color();
-    const srcMesh = state.frameMeshes[t0];
-
-    for (let i = 0; i < state.N_points; i++) {
-      const x0 = pos0[3 * i];
-      const y0 = pos0[3 * i + 1];
-      const z0 = pos0[3 * i + 2];
-      const x1 = pos1[3 * i];
-      const y1 = pos1[3 * i + 1];
-      const z1 = pos1[3 * i + 2];
-
-      const xm = 0.5 * (x0 + x1);
-      const ym = 0.5 * (y0 + y1);
-      const zm = 0.5 * (z0 + z1);
-      dummyMatrix.makeTranslation(xm, ym, zm);
-      mesh.setMatrixAt(i, dummyMatrix);
-
-      if (srcMesh.instanceColor) {
-        const cA = srcMesh.instanceColor;
-        const r = cA.getX(i);
-        const g = cA.getY(i);
-        const b = cA.getZ(i);
-        color.setRGB(r, g, b);
-      } else {
-        color.setRGB(0.5, 0.5, 0.5);
+  // Helper: colors for N points: RGB when the file has it, otherwise label hues, otherwise gray
+  function buildPointColors(N, colors, labels) {
+    let maxLabel = 0;
+    if (labels) {
+      for (let i = 0; i < N; i++) {
+        if (labels[i] > maxLabel) maxLabel = labels[i];
       }
-      mesh.setColorAt(i, color);
     }
 
-    mesh.visible = false;
-    state.scene.add(mesh);
-    return mesh;
+    const pointColors = new Float32Array(3 * N);
+    writePointColors(pointColors, 0, N, colors, labels, maxLabel);
+    return pointColors;
+  }
+
+  // Helper: build the (hidden) sprite cloud holding every frame of a sample.
+  // Missing frames, or frames with another point count, repeat the previous step.
+  function buildSampleCloud(positions, pointColors) {
+    const first = positions.find((p) => p !== null);
+    if (!first) return null;
+
+    const N = first.length / 3;
+    const meshStartTime = performance.now();
+
+    // For very large point clouds, warn user
+    if (N > 500000) {
+      console.warn(`Large point cloud detected (${N} points). This may take a moment...`);
+    }
+
+    let last = first;
+    const frames = positions.map((p, t) => {
+      if (p && p.length === first.length) {
+        last = p;
+      } else if (p) {
+        console.warn(`Frame ${t} has ${p.length / 3} points instead of ${N}, repeating the previous frame`);
+      }
+      return last;
+    });
+
+    const cloud = createFrameSprites(objName, frames, pointColors);
+
+    const meshTime = performance.now() - meshStartTime;
+    console.log(`Uploaded ${frames.length} frames of ${N} point sprites in ${meshTime.toFixed(2)}ms`);
+
+    state.scene.add(cloud);
+    return cloud;
+  }
+
+  // Helper: load a whole (T, N, 3) trajectory array for a sample, rejects with the load or parse error
+  function loadTrajectory(sampleId) {
+    const url = trajectoryUrl(objName, sampleId);
+    const loadStartTime = performance.now();
+    return new Promise((resolve, reject) => {
+      npyLoader.load(
+        url,
+        (result) => {
+          console.log(`Loaded ${url} in ${(performance.now() - loadStartTime).toFixed(2)}ms`);
+          // .npy holds the trajectory alone, .npz names its arrays
+          const arrays = result.data ? { trajectory: result } : result;
+          if (!arrays.trajectory) {
+            console.error(`No "trajectory" array in ${url}`);
+            reject(new Error(`No "trajectory" array in ${url}`));
+            return;
+          }
+
+          let colors = null;
+          if (arrays.colors) {
+            // Integer colors (e.g. uint8) are scaled to 0-1 like PCDLoader's
+            const dtype = arrays.colors.dtype;
+            const scale = dtype[0] === 'u' ? 1 / (Math.pow(2, 8 * parseInt(dtype.slice(1), 10)) - 1) : 1;
+            colors = Float32Array.from(arrays.colors.data, (v) => v * scale);
+          }
+
+          try {
+            resolve({
+              frames: splitFrames(arrays.trajectory),
+              colors,
+              labels: arrays.labels ? arrays.labels.data : null
+            });
+          } catch (err) {
+            console.error(`Error reading ${url}:`, err.message || err);
+            reject(err);
+          }
+        },
+        undefined,
+        (err) => {
+          console.error(`Error loading ${url}:`, err);
+          console.error(`Error details:`, err.message || err);
+          reject(err);
+        }
+      );
+    });
   }
 
   // Helper: load all frames for a sample (unchanged except return)
@@ -627,188 +1621,162 @@ function initSampledViewer(container, objName, initialSampleId) {
     if (state.session !== currentSession) return null;
 
     if (showLoading) {
+      state.loadingOverlay.innerText = 'Loading…';
       state.loadingOverlay.style.display = 'flex';
     }
 
+    // First failure of this sample, shown in the overlay if it leaves nothing to display
+    let loadError = null;
+
+    let pointColors = null;  // taken from the first frame that loads
+    let pointData = null;
+
+    // NumPy datasets deliver every step in one file; if it fails to load there are
+    // no step files to fall back to, so its error is what the overlay shows
+    let trajectory = null;
+    let trajectoryFailed = false;
+    if (hasTrajectoryFile(objName)) {
+      try {
+        trajectory = await loadTrajectory(sampleId);
+      } catch (err) {
+        loadError = err;
+        trajectoryFailed = true;
+      }
+      if (state.session !== currentSession) return null;
+      // The first trajectory of the scene sizes the timeline; the manifest's "frames" only counts step files
+      if (trajectory && totalFrames === sceneConfig(objName).frames) {
+        setTotalFrames(trajectory.frames.length);
+      }
+    }
+
     console.log(`Loading ${totalFrames} frames for ${objName}/${sampleId}`);
-    const newMeshes = new Array(totalFrames).fill(null);
     const newPositions = new Array(totalFrames).fill(null);
+    const stepCount = trajectoryFailed ? 0 : totalFrames;
+
+    // Helper: load step file t into newPositions[t]; resolves either way, failures end up in loadError
+    const loadFrame = (t) => new Promise((resolve) => {
+      // Step files follow the scene's "frames" template
+      const url = frameUrl(objName, sampleId, t);
+      const loadStartTime = performance.now();
+      loadPointCloud(
+        url,
+        (points) => {
+          const loadTime = performance.now() - loadStartTime;
+          console.log(`Loaded ${url} in ${loadTime.toFixed(2)}ms`);
+          const geom = points.geometry;
+          const posAttr = geom.attributes.position;
+          const lblAttr = geom.attributes.label;
+          if (!posAttr) {
+            console.error(`No position attribute in ${url}`);
+            newPositions[t] = null;
+            resolve();
+            return;
+          }
 
-    for (let t = 0; t < totalFrames; t++) {
-      // Yield control periodically to prevent UI blocking
-      if (t > 0 && t % 3 === 0) {
-        await new Promise(resolve => setTimeout(resolve, 0));
-      }
-      // All datasets use the same structure: midpoint/endpoint folders
-      const url = `pcd/${objName}/${sampleId}/step_${t}.pcd`;
-
-      if (state.session !== currentSession) {
-        for (let k = 0; k < t; k++) {
-          if (newMeshes[k]) {
-            newMeshes[k].geometry.dispose();
-            newMeshes[k].material.dispose();
+          const positions = posAttr.array;
+          const N = positions.length / 3;
+          console.log(`Frame ${t}: ${N} points`);
+
+          // Check if point cloud is too large (might cause performance issues)
+          if (N > 1000000) {
+            console.warn(`Warning: Very large point cloud (${N} points) may cause performance issues`);
           }
-        }
-        return null;
-      }
 
-      await new Promise((resolve) => {
-        const loadStartTime = performance.now();
-        globalLoader.load(
-          url,
-          (points) => {
-            const loadTime = performance.now() - loadStartTime;
-            console.log(`Loaded ${url} in ${loadTime.toFixed(2)}ms`);
-            const geom = points.geometry;
-            const posAttr = geom.attributes.position;
-            const lblAttr = geom.attributes.label;
-            if (!posAttr) {
-              console.error(`No position attribute in ${url}`);
-              newMeshes[t] = null;
-              newPositions[t] = null;
-              resolve();
-              return;
-            }
-
-            const positions = posAttr.array;
-            const N = positions.length / 3;
-            console.log(`Frame ${t}: ${N} points`);
-            
-            // Check if point cloud is too large (might cause performance issues)
-            if (N > 1000000) {
-              console.warn(`Warning: Very large point cloud (${N} points) may cause performance issues`);
-            }
-            
-            if (t === 0) {
-              state.N_points = N;
-            }
-            newPositions[t] = new Float32Array(positions);
+          if (t === 0) {
+            state.N_points = N;
+          }
+          newPositions[t] = new Float32Array(positions);
 
+          if (!pointColors) {
             const colorAttr = geom.attributes.color;  // Check for RGB color attribute
             const colors = colorAttr ? colorAttr.array : null;
-
-            const sphereGeo = getPointSphereGeo(objName);
-      const instMesh = new THREE.InstancedMesh(sphereGeo, _pointSphereMat, N);
-            instMesh.castShadow = true;
-            instMesh.receiveShadow = false;
-
-            const dummyMatrix = new THREE.Matrix4();
-            const color = new THREE.Color();
-
-            let maxLabel = 0;
-            if (lblAttr) {
-              for (let i = 0; i < N; i++) {
-                if (lblAttr.array[i] > maxLabel) maxLabel = lblAttr.array[i];
-              }
-            }
-
-            const meshStartTime = performance.now();
-            
-            // For very large point clouds, warn user
-            if (N > 500000) {
-              console.warn(`Large point cloud detected (${N} points). This may take a moment...`);
-            }
-            
-            for (let i = 0; i < N; i++) {
-              const x = positions[3 * i];
-              const y = positions[3 * i + 1];
-              const z = positions[3 * i + 2];
-              dummyMatrix.makeTranslation(x, y, z);
-              instMesh.setMatrixAt(i, dummyMatrix);
-
-              // Use RGB color if available, otherwise use label-based coloring
-              if (colors) {
-                // RGB colors are already normalized (0-1) from PCDLoader
-                const r = colors[3 * i];
-                const g = colors[3 * i + 1];
-                const b = colors[3 * i + 2];
-                color.setRGB(r, g, b);
-              } else if (lblAttr) {
-                const lbl = lblAttr.array[i];
-                const hue = maxLabel > 0 ? (lbl / maxLabel) * 0.8 : 0;
-                const hue_remap = (hue + 0.548) % 1;
-                const [r, g, b] = hsvToRgb(hue_remap, 0.62, 0.46);
-                color.setRGB(r, g, b);
-              } else {
-                color.setRGB(0.5, 0.5, 0.5);
-              }
-              instMesh.setColorAt(i, color);
-            }
-            const meshTime = performance.now() - meshStartTime;
-            console.log(`Created InstancedMesh for frame ${t} in ${meshTime.toFixed(2)}ms`);
-
-            instMesh.visible = false;
-            newMeshes[t] = instMesh;
-            state.scene.add(instMesh);
-
-            geom.dispose();
-            points.material.dispose();
-            resolve();
-          },
-          (progress) => {
-            // Log progress for large files
-            if (progress.lengthComputable && progress.total > 1000000) {
-              console.log(`Loading ${url}: ${(progress.loaded / progress.total * 100).toFixed(1)}%`);
-            }
-          },
-          (err) => {
-            console.error(`Error loading ${url}:`, err);
-            console.error(`Error details:`, err.message || err);
-            newMeshes[t] = null;
-            newPositions[t] = null;
-            resolve();
+            const intensityAttr = geom.attributes.intensity;
+            pointColors = buildPointColors(N, colors, lblAttr ? lblAttr.array : null);
+            pointData = createPointData(N, colors, lblAttr ? lblAttr.array : null, intensityAttr ? intensityAttr.array : null);
           }
-        );
-      });
 
-      if (state.session !== currentSession) {
-        for (let k = 0; k <= t; k++) {
-          if (newMeshes[k]) {
-            newMeshes[k].geometry.dispose();
-            newMeshes[k].material.dispose();
+          geom.dispose();
+          points.material.dispose();
+          resolve();
+        },
+        (progress) => {
+          // Log progress for large files
+          if (progress.lengthComputable && progress.total > 1000000) {
+            console.log(`Loading ${url}: ${(progress.loaded / progress.total * 100).toFixed(1)}%`);
           }
+        },
+        (err) => {
+          console.error(`Error loading ${url}:`, err);
+          console.error(`Error details:`, err.message || err);
+          if (!loadError) loadError = err;
+          newPositions[t] = null;
+          resolve();
         }
-        return null;
+      );
+    });
+
+    if (trajectory) {
+      for (let t = 0; t < stepCount; t++) {
+        // One step per playback frame, resampled only when the other sample's trajectory is longer or shorter
+        const frameCount = trajectory.frames.length;
+        const src = trajectory.frames[Math.round(t * (frameCount - 1) / Math.max(1, totalFrames - 1))];
+        if (t === 0) {
+          state.N_points = src.length / 3;
+          pointColors = buildPointColors(state.N_points, trajectory.colors, trajectory.labels);
+          pointData = createPointData(state.N_points, trajectory.colors, trajectory.labels, null);
+        }
+        newPositions[t] = new Float32Array(src);
       }
+    } else {
+      // All step files at once, so the worker pool parses them side by side; each lands in its own slot
+      await Promise.all(Array.from({ length: stepCount }, (_, t) => loadFrame(t)));
     }
 
-    if (state.session !== currentSession) {
-      newMeshes.forEach((m) => {
-        if (m) {
-          m.geometry.dispose();
-          m.material.dispose();
-        }
-      });
-      return null;
+    if (state.session !== currentSession) return null;
+
+    // The endpoint of the flow counts towards the scene's framing (input and endpoint bounds)
+    if (newPositions[totalFrames - 1]) {
+      addSceneBounds(objName, `endpoint/${sampleId}`, newPositions[totalFrames - 1]);
+    }
+
+    let newCloud = null;
+    try {
+      newCloud = buildSampleCloud(newPositions, pointColors);
+    } catch (err) {
+      console.error(`Cannot display ${objName}/${sampleId}:`, err.message || err);
+      loadError = err;
     }
 
     if (showLoading) {
-      state.loadingOverlay.style.display = 'none';
-
-      // Dispose old frame‐meshes:
-      state.frameMeshes.forEach((oldMesh) => {
-        if (oldMesh) {
-          state.scene.remove(oldMesh);
-          oldMesh.geometry.dispose();
-          oldMesh.material.dispose();
-        }
-      });
+      if ((newPositions[0] && newCloud) || !loadError) {
+        state.loadingOverlay.style.display = 'none';
+      } else {
+        state.loadingOverlay.innerText = loadErrorText(loadError);
+      }
 
-      // Swap in the new
-      state.frameMeshes = newMeshes;
+      // Dispose the old cloud and swap in the new
+      disposeFrameSprites(state.scene, state.cloud);
+      state.cloud = newCloud;
+      state.pointColors = pointColors;
+      state.pointData = pointData;
       state.framePositions = newPositions;
       state.currentSampleId = sampleId;
+      applyColorMode(state);
+      applyViewSelection(state);
+      enableEdlForGrayCloud(state);
 
       // Show frame 0 of the new sample
-      if (state.frameMeshes[0]) {
-        state.frameMeshes[0].visible = true;
+      if (state.cloud) {
+        state.cloud.material.time = 0;
+        state.cloud.visible = true;
+        requestRender();
         console.log(`Made frame 0 visible for ${objName}/${sampleId}`);
       } else {
-        console.error(`Frame 0 mesh is null for ${objName}/${sampleId}`);
+        console.error(`No frames loaded for ${objName}/${sampleId}`);
       }
       return null;
     } else {
-      return { newMeshes, newPositions, sampleId };
+      return { newCloud, newPositions, pointColors, pointData, sampleId };
     }
   }
 
@@ -828,31 +1796,16 @@ function initSampledViewer(container, objName, initialSampleId) {
 function clearAllViewers() {
   currentSession++;           // bump session so in‐flight promises bail
   clearTimeout(playTimeoutId);
+  cancelAnimationFrame(playFrameId);
 
   allStates.forEach((st) => {
     // Guard: skip any state object that doesn’t have a scene
     if (!st || !st.scene) return; // ← UPDATED: avoid calling traverse on undefined
 
     if (st.isSampled) {
-      // Remove any interpolated meshes (if still present)
-    //   st.scene.traverse((obj) => {
-    //     if (obj.name && obj.name.startsWith(`interp_${st.currentSampleId}_`)) {
-    //       if (obj.geometry) obj.geometry.dispose();
-    //       if (obj.material) obj.material.dispose();
-    //       st.scene.remove(obj);
-    //     }
-    //   });
-
-      // Remove each frame’s InstancedMesh
-      if (Array.isArray(st.frameMeshes)) {
-        st.frameMeshes.forEach((m) => {
-          if (m) {
-            st.scene.remove(m);
-            if (m.geometry) m.geometry.dispose();
-            if (m.material) m.material.dispose();
-          }
-        });
-      }
+      // Remove the sprite cloud holding all frames
+      disposeFrameSprites(st.scene, st.cloud);
+      st.cloud = null;
 
       // Remove any trajectory spheres
       if (Array.isArray(st.trajectorySpheres)) {
@@ -868,13 +1821,24 @@ function clearAllViewers() {
         st.scene.remove(st.mesh);
         if (st.mesh.geometry) st.mesh.geometry.dispose();
         if (st.mesh.material) st.mesh.material.dispose();
+        if (st.mesh.isPointOctree) st.mesh.dispose();
+      }
+      if (st.frustum) {
+        st.scene.remove(st.frustum);
+        st.frustum.geometry.dispose();
+        st.frustum.material.dispose();
       }
     }
 
-    if (st.renderer && st.renderer.domElement) {
-      st.container.removeChild(st.renderer.domElement);
-      st.renderer.dispose();
-    }
+    // The renderer outlives this scene: free what is left of it (ground plane, shadow maps)
+    st.scene.traverse((obj) => {
+      if (obj.geometry) obj.geometry.dispose();
+      if (obj.material) obj.material.dispose();
+      if (obj.shadow) obj.shadow.dispose();
+    });
+    if (st.edlPass) st.edlPass.dispose();
+    st.controls.dispose();
+    viewerObserver.unobserve(st.container);
   });
 
   // Also clear out the containers in the DOM
@@ -886,22 +1850,136 @@ function clearAllViewers() {
   inputState = null;
   sampledStates = [];
   allStates = [];
+  timeline = null;
+  viewSelection = createViewSelection();
+  requestRender();  // wipe the shared canvas
 }
 
 // 10) ADVANCE FRAMES (two sampled viewers in sync)
+// Helper: show continuous frame time `t` in every sampled viewer; the clouds blend
+// the two steps around it on the GPU
+function setPlayhead(t) {
+  playhead = t;
+  sampledStates.forEach((st) => {
+    if (st.cloud) st.cloud.material.time = t;
+  });
+  updateTimeline();
+  requestRender();
+}
+
+// Helper: size the timeline (and every sampled viewer) to n steps
+function setTotalFrames(n) {
+  totalFrames = n;
+  sampledStates.forEach((st) => { st.totalFrames = n; });
+  if (timeline) timeline.range.max = n - 1;
+  setPlayhead(Math.min(playhead, n - 1));
+}
+
+// Helper: stop playback where it is, as the Pause button does (rotation is left alone)
+function pausePlayback() {
+  if (isPaused) return;
+  isPaused = true;
+  clearTimeout(playTimeoutId);
+  cancelAnimationFrame(playFrameId);
+  const pauseBtn = document.getElementById('btn-pause');
+  if (pauseBtn) pauseBtn.innerText = 'Play';
+}
+
+// Helper: pause and move both sampled viewers to one step of the flow
+function seekToStep(step) {
+  pausePlayback();
+  setPlayhead(Math.min(Math.max(step, 0), totalFrames - 1));
+}
+
+// Helper: show the playhead on the scrubber
+function updateTimeline() {
+  if (!timeline) return;
+  timeline.range.value = playhead;
+  timeline.label.innerText = `t = ${playhead.toFixed(1)} / ${totalFrames - 1}`;
+}
+
+// Timeline scrubber: drag to any step, or step back / forward one at a time; both pause playback
+function createTimeline() {
+  const box = document.createElement('div');
+  box.classList.add('timeline');
+
+  const backBtn = document.createElement('button');
+  backBtn.classList.add('timeline-button');
+  backBtn.title = 'Previous step';
+  backBtn.innerText = '◀';
+  backBtn.addEventListener('click', () => seekToStep(Math.ceil(playhead) - 1));
+
+  const range = document.createElement('input');
+  range.type = 'range';
+  range.classList.add('timeline-range');
+  range.min = 0;
+  range.max = totalFrames - 1;
+  range.step = 'any';   // follows the continuous playhead, drags snap to steps
+  range.addEventListener('input', () => seekToStep(Math.round(parseFloat(range.value))));
+
+  const forwardBtn = document.createElement('button');
+  forwardBtn.classList.add('timeline-button');
+  forwardBtn.title = 'Next step';
+  forwardBtn.innerText = '▶';
+  forwardBtn.addEventListener('click', () => seekToStep(Math.floor(playhead) + 1));
+
+  const label = document.createElement('span');
+  label.classList.add('timeline-label');
+
+  box.appendChild(backBtn);
+  box.appendChild(range);
+  box.appendChild(forwardBtn);
+  box.appendChild(label);
+
+  timeline = { range, label };
+  updateTimeline();
+  return box;
+}
+
+// Helpers: frames a pass starts from and ends at in the current direction
+function playStartFrame() {
+  return playDirection > 0 ? 0 : totalFrames - 1;
+}
+
+function playEndFrame() {
+  return playDirection > 0 ? totalFrames - 1 : 0;
+}
+
+// Helper: take playback options from data-* attributes (data-speed, data-loop-mode,
+// data-reverse, data-hold in ms), ignoring missing or invalid ones
+function readPlaybackSettings(dataset) {
+  const speed = parseFloat(dataset.speed);
+  if (speed >= 0.25 && speed <= 4) playbackSettings.speed = speed;
+  if (loopModes.includes(dataset.loopMode)) playbackSettings.loopMode = dataset.loopMode;
+  if (dataset.reverse !== undefined) playbackSettings.reverse = dataset.reverse === 'true';
+  const hold = parseFloat(dataset.hold);
+  if (hold >= 0) playbackSettings.holdDuration = hold;
+  playDirection = playbackSettings.reverse ? -1 : 1;
+}
+
+// Helper: mirror the playback options back onto the data-* attributes
+function writePlaybackSettings(dataset) {
+  dataset.speed = playbackSettings.speed;
+  dataset.loopMode = playbackSettings.loopMode;
+  dataset.reverse = playbackSettings.reverse;
+  dataset.hold = playbackSettings.holdDuration;
+}
+
 function advanceAllFrames(session) {
   if (session !== currentSession || sampledStates.length === 0) return;
   if (isPaused) return;
 
+  // Only one playback loop at a time
+  cancelAnimationFrame(playFrameId);
+  clearTimeout(playTimeoutId);
+
   // Check if frames are loaded
-  const allFramesLoaded = sampledStates.every((st) => {
-    return st.frameMeshes && st.frameMeshes.length > 0 && st.frameMeshes[0] !== null;
-  });
+  const allFramesLoaded = sampledStates.every((st) => st.cloud);
   
   if (!allFramesLoaded) {
     console.warn('Frames not yet loaded, skipping advanceAllFrames');
     // Retry after a short delay
-    setTimeout(() => {
+    playTimeoutId = setTimeout(() => {
       if (session === currentSession && !isPaused) {
         advanceAllFrames(session);
       }
@@ -909,84 +1987,81 @@ function advanceAllFrames(session) {
     return;
   }
 
-  // Get frame count (shared across all datasets)
-  const globalTotal = slowMode ? (totalFrames * 2 - 1) : totalFrames;
-  const g = currentFrameIdx;
-  const prevG = (g - 1 + globalTotal) % globalTotal;
-
-  sampledStates.forEach((st) => {
-    const prevMap = mapGlobalToLocal(prevG, st);
-    const currMap = mapGlobalToLocal(g, st);
+  const lastFrame = totalFrames - 1;
 
-    // Hide whatever was visible at prevG:
-    if (prevMap.isOriginal) {
-      const oldIdx = prevMap.frameIndex;
-      if (st.frameMeshes[oldIdx]) st.frameMeshes[oldIdx].visible = false;
+  // Resumed at the end: play once starts over, the other modes go on to what follows the end
+  if (playhead === playEndFrame()) {
+    if (playbackSettings.loopMode === 'once') {
+      setPlayhead(playStartFrame());
     } else {
-      const name = `interp_${st.currentSampleId}_${prevMap.frameIndex}_${prevMap.nextIndex}_${prevG}`;
-      const obj = st.scene.getObjectByName(name);
-      if (obj) obj.visible = false;
+      finishPass();
+      return;
     }
+  }
+
+  // Move the playhead by the elapsed time
+  let lastTime = null;
+  function step(now) {
+    if (session !== currentSession || isPaused) return;
+    const frameDuration = frameInterval / playbackSettings.speed;
+    const dt = lastTime === null ? 0 : now - lastTime;
+    lastTime = now;
+
+    setPlayhead(Math.min(Math.max(playhead + playDirection * dt / frameDuration, 0), lastFrame));
 
-    // Show whatever should be visible at g:
-    if (currMap.isOriginal) {
-      const idx = currMap.frameIndex;
-      if (st.frameMeshes[idx]) st.frameMeshes[idx].visible = true;
+    // The direction may be flipped mid-pass (Reverse), so the end is looked up every step
+    if (playhead === playEndFrame()) {
+      finishPass();
     } else {
-      const i0 = currMap.frameIndex;
-      const i1 = currMap.nextIndex;
-      const interpName = `interp_${st.currentSampleId}_${i0}_${i1}_${g}`;
-      let mesh = st.scene.getObjectByName(interpName);
-      if (!mesh) {
-        mesh = buildInterpolatedMeshForState(st, i0, i1, g);
-      }
-      if (mesh) {
-        mesh.visible = true;
-      }
+      playFrameId = requestAnimationFrame(step);
     }
-  });
+  }
+  playFrameId = requestAnimationFrame(step);
+
+  // --- helper: at the end of a pass, hold it and continue as the loop mode says ---
+  function finishPass() {
+    if (playbackSettings.loopMode === 'once') {
+      pausePlayback();   // hold at the end until Play is pressed
+      return;
+    }
+    if (playbackSettings.loopMode === 'pingpong') {
+      playTimeoutId = setTimeout(() => {
+        if (session !== currentSession || isPaused) return;
+        playDirection = -playDirection;
+        advanceAllFrames(session);
+      }, playbackSettings.holdDuration);
+      return;
+    }
+    swapInNextSamples();
+  }
 
-  if (g === globalTotal - 1) {
+  // --- helper: at the end, prefetch the next samples and swap them in after the hold time ---
+  function swapInNextSamples() {
     // At the last frame: always use first and second samples (no random shuffle)
-    const newId0 = sampleMap[0] || sampledStates[0].currentSampleId; // Left viewer: first sample
-    const newId1 = sampleMap[1] || sampledStates[1].currentSampleId; // Right viewer: second sample
+    const [newId0, newId1] = pickTwoFixedSamples(sampledStates[0].objName); // Left: first sample, right: second
 
-    // Kick off prefetch (showLoading=false)
-    const prefetchPromise0 = sampledStates[0].loadSample(newId0, false);
-    const prefetchPromise1 = sampledStates[1].loadSample(newId1, false);
+    // Kick off prefetch (showLoading=false); a viewer that keeps its sample keeps its frames
+    const prefetch = (st, sampleId) => (sampleId === st.currentSampleId && st.cloud) ? null : st.loadSample(sampleId, false);
+    const prefetchPromise0 = prefetch(sampledStates[0], newId0);
+    const prefetchPromise1 = prefetch(sampledStates[1], newId1);
 
-    // Wait pauseDuration, then swap everything in one go
+    // Wait the hold time, then swap everything in one go
     playTimeoutId = setTimeout(async () => {
       if (session !== currentSession) return;
       const [res0, res1] = await Promise.all([prefetchPromise0, prefetchPromise1]);
       if (session !== currentSession) return;
 
-      // For each sampled viewer, remove old trajectories & old meshes before swapping
+      // For each sampled viewer, remove old trajectories & the old cloud before swapping
       [res0, res1].forEach((res, i) => {
         const st = sampledStates[i];
-        if (!res) return;
-
-        // Remove & dispose ALL interpolated meshes (any name starting with 'interp_<oldSampleId>_')
-        const toRemove = [];
-        st.scene.traverse((obj) => {
-          if (obj.name && obj.name.startsWith(`interp_${st.currentSampleId}_`)) {
-            toRemove.push(obj);
-          }
-        });
-        toRemove.forEach((obj) => {
-          if (obj.geometry) obj.geometry.dispose();
-          if (obj.material) obj.material.dispose();
-          st.scene.remove(obj);
-        });
+        if (!res || !res.newCloud) {
+          // Kept (or failed) samples stay on screen as they are
+          enableEdlForGrayCloud(st);
+          return;
+        }
 
-        // Remove & dispose old frame‐meshes
-        st.frameMeshes.forEach((oldMesh) => {
-          if (oldMesh) {
-            st.scene.remove(oldMesh);
-            oldMesh.geometry.dispose();
-            oldMesh.material.dispose();
-          }
-        });
+        // Remove & dispose the old cloud (and its frame texture)
+        disposeFrameSprites(st.scene, st.cloud);
 
         // ← TRAJ: Remove any trajectory spheres for the old sample
         st.trajectorySpheres.forEach((sphere) => {
@@ -997,14 +2072,17 @@ function advanceAllFrames(session) {
         st.trajectorySpheres.length = 0;
 
         // Swap in the newly-loaded frames & positions
-        st.frameMeshes = res.newMeshes;
+        st.cloud = res.newCloud;
+        st.pointColors = res.pointColors;
+        st.pointData = res.pointData;
         st.framePositions = res.newPositions;
         st.currentSampleId = res.sampleId;
+        applyColorMode(st);
+        applyViewSelection(st);
+        enableEdlForGrayCloud(st);
 
-        // Show frame 0 of the new sample
-        if (st.frameMeshes[0]) {
-          st.frameMeshes[0].visible = true;
-        }
+        // Show the new sample
+        st.cloud.visible = true;
 
         // ← TRAJ: If the toggle is ON, immediately draw new spheres for the new sample
         if (showTrajectories) {
@@ -1012,88 +2090,88 @@ function advanceAllFrames(session) {
         }
       });
 
-      // 7) Restart from frame 0 if still playing
-      if (!isPaused) {
-        currentFrameIdx = 0;
-        advanceAllFrames(session);
-      }
-    }, pauseDuration);
-  } else {
-    // Normal case: simply advance to g+1 after frameInterval
-    playTimeoutId = setTimeout(() => {
-      if (session !== currentSession) return;
+      // Restart from the first frame of the pass if still playing
+      setPlayhead(playStartFrame());
       if (!isPaused) {
-        currentFrameIdx = (currentFrameIdx + 1) % globalTotal;
         advanceAllFrames(session);
       }
-    }, frameInterval);
-  }
-
-  // --- helper to map "global frame index" → {isOriginal, frameIndex, nextIndex, alpha} ---
-  function mapGlobalToLocal(globalIdx, st) {
-    const frameCount = st.totalFrames || totalFrames;
-    if (!slowMode) {
-      return { isOriginal: true, frameIndex: globalIdx, alpha: 0 };
-    } else {
-      if (globalIdx % 2 === 0) {
-        return { isOriginal: true, frameIndex: globalIdx / 2, alpha: 0 };
-      } else {
-        const i0 = Math.floor(globalIdx / 2);
-        const i1 = i0 + 1;
-        // Clamp i1 to frameCount - 1 to avoid out-of-bounds
-        const clampedI1 = Math.min(i1, frameCount - 1);
-        return { isOriginal: false, frameIndex: i0, nextIndex: clampedI1, alpha: 0.5 };
-      }
-    }
+    }, playbackSettings.holdDuration);
   }
+}
 
-  // Helper: build (and name) an interpolated mesh in `st` for indices (i0, i1) (unchanged)
-  function buildInterpolatedMeshForState(st, i0, i1, globalIdx) {
-    const name = `interp_${st.currentSampleId}_${i0}_${i1}_${globalIdx}`;
-    const pos0 = st.framePositions[i0];
-    const pos1 = st.framePositions[i1];
-    if (!pos0 || !pos1) return null;
-
-    const sphereGeo = getPointSphereGeo(st.objName);
-    const mesh = new THREE.InstancedMesh(sphereGeo, _pointSphereMat, st.N_points);
-    mesh.castShadow = true;
-    mesh.receiveShadow = false;
-    mesh.name = name;
-
-    const dummyMatrix = new THREE.Matrix4();
-    const color = new THREE.Color();
-    const srcMesh = st.frameMeshes[i0];
-
-    for (let i = 0; i < st.N_points; i++) {
-      const x0 = pos0[3 * i], y0 = pos0[3 * i + 1], z0 = pos0[3 * i + 2];
-      const x1 = pos1[3 * i], y1 = pos1[3 * i + 1], z1 = pos1[3 * i + 2];
-      const xm = 0.5 * (x0 + x1), ym = 0.5 * (y0 + y1), zm = 0.5 * (z0 + z1);
-      dummyMatrix.makeTranslation(xm, ym, zm);
-      mesh.setMatrixAt(i, dummyMatrix);
-
-      if (srcMesh.instanceColor) {
-        const cA = srcMesh.instanceColor;
-        const r = cA.getX(i), g = cA.getY(i), b = cA.getZ(i);
-        color.setRGB(r, g, b);
-      } else {
-        color.setRGB(0.5, 0.5, 0.5);
-      }
-      mesh.setColorAt(i, color);
-    }
+// 11) RENDER ON DEMAND
+// Nothing is drawn unless something asked for it: controls moved, a frame advanced, points
+// arrived, the page scrolled or resized. Auto-rotation keeps asking while a rotating viewer
+// is on screen; viewers scrolled out of view and hidden tabs draw nothing.
+const viewerObserver = new IntersectionObserver((entries) => {
+  entries.forEach((entry) => {
+    const st = allStates.find((s) => s.container === entry.target);
+    if (st) st.inView = entry.isIntersecting;
+  });
+  requestRender();
+});
 
-    mesh.visible = false;
-    st.scene.add(mesh);
-    return mesh;
+function requestRender() {
+  if (renderFrameId === null) {
+    renderFrameId = requestAnimationFrame(renderAll);
   }
 }
 
-// 11) RENDER LOOP (calls controls.update + render each scene) (unchanged)
-function animateAll() {
-  requestAnimationFrame(animateAll);
+function renderAll() {
+  renderFrameId = null;
+  if (!sharedRenderer || document.hidden) return;
+
+  // Keep the drawing buffer as large as the window-sized canvas
+  const canvas = sharedRenderer.domElement;
+  // The canvas scrolls with the page: put it back over the window in the same frame the
+  // viewports below are measured, so both move together
+  canvas.style.transform = `translate(${window.scrollX}px, ${window.scrollY}px)`;
+  const canvasWidth = canvas.clientWidth;
+  const canvasHeight = canvas.clientHeight;
+  if (canvas.width !== canvasWidth || canvas.height !== canvasHeight) {
+    sharedRenderer.setSize(canvasWidth, canvasHeight, false);
+  }
+
+  // Wipe viewers that scrolled away or were torn down
+  sharedRenderer.setScissor(0, 0, canvasWidth, canvasHeight);
+  sharedRenderer.clear();
+
+  let rotating = false;
+
   allStates.forEach((st) => {
+    if (!st.inView) return;
+
+    // Auto-rotation advances in update(), so it needs the next frame too
     st.controls.update();
-    st.renderer.render(st.scene, st.camera);
+    if (st.controls.autoRotate) rotating = true;
+
+    const rect = st.container.getBoundingClientRect();
+    if (rect.bottom < 0 || rect.top > canvasHeight || rect.right < 0 || rect.left > canvasWidth) return;
+    if (rect.width === 0 || rect.height === 0) return;
+
+    // Viewports are measured from the bottom of the canvas
+    const bottom = canvasHeight - rect.bottom;
+    sharedRenderer.setViewport(rect.left, bottom, rect.width, rect.height);
+    sharedRenderer.setScissor(rect.left, bottom, rect.width, rect.height);
+
+    if (st.camera.aspect !== rect.width / rect.height) {
+      st.camera.aspect = rect.width / rect.height;
+      // A fit made for another layout (or before the viewer had a size) would crop the scene
+      frameViewer(st);
+    }
+
+    // Large clouds pick their level of detail for this view
+    if (st.octree) st.octree.update(st.camera, rect.height);
+
+    // Eye-dome lighting draws through an offscreen target, then shades into this viewport
+    if (st.edl && st.edlPass) {
+      st.edlPass.render(sharedRenderer, st.scene, st.camera);
+    } else {
+      sharedRenderer.render(st.scene, st.camera);
+    }
   });
+
+  if (rotating) requestRender();
 }
 
 // 12) DRAW TRAJECTORIES FOR ONE VIEWER STATE (sampled viewer only) ← TRAJ
@@ -1112,71 +2190,44 @@ function drawTrajectoriesForState(st) {
   }
   const selectedIndices = Array.from(indices);
 
-  // 2) We will have totalInstances = numToSample * frameCount
+  // 2) One sprite per sampled point and frame: numToSample * frameCount in total
   const totalInstances = numToSample * frameCount;
-  const trajSphereGeo = getTrajSphereGeo(st.objName);
-  const instancedMesh = new THREE.InstancedMesh(
-    trajSphereGeo,
-    _trajSphereMat,
-    totalInstances
-  );
-  // Enable per‐instance color
-  instancedMesh.instanceColor = new THREE.InstancedBufferAttribute(
-    new Float32Array(totalInstances * 3),
-    3
-  );
-  instancedMesh.count = totalInstances; // yep, exactly this many
-  instancedMesh.castShadow = false;
-  instancedMesh.receiveShadow = false;
-
-  // 3) Fill in each instance’s matrix and color
-  const dummyMatrix = new THREE.Matrix4();
-  const color = new THREE.Color();
+  const positions = new Float32Array(totalInstances * 3);
+  const colors = new Float32Array(totalInstances * 3);
 
+  // 3) Fill in each sprite's position and color
   let instanceIdx = 0;
   for (let pi = 0; pi < selectedIndices.length; pi++) {
     const ptIdx = selectedIndices[pi];
 
-    // Pre‐grab colorSeries[ptIdx] for all frames if you want—this avoids
-    // re‐reading instanceColor on each frame. But we can just read from meshAtT.instanceColor as below.
     for (let t = 0; t < frameCount; t++) {
       const posArr = st.framePositions[t]; // Float32Array length=N*3
-      const x = posArr[3 * ptIdx];
-      const y = posArr[3 * ptIdx + 1];
-      const z = posArr[3 * ptIdx + 2];
-
-      // Build translation for this instance
-      dummyMatrix.makeTranslation(x, y, z);
-      instancedMesh.setMatrixAt(instanceIdx, dummyMatrix);
-
-      // Determine the color from the original instanced‐mesh at frame t
-      const meshAtT = st.frameMeshes[t];
-      if (meshAtT.instanceColor) {
-        const cA = meshAtT.instanceColor;
-        const r = cA.getX(ptIdx);
-        const g = cA.getY(ptIdx);
-        const b = cA.getZ(ptIdx);
-        color.setRGB(r, g, b);
-      } else {
-        color.setRGB(0.5, 0.5, 0.5);
+      // Colors are per point, shared by all frames
+      const colorArr = st.pointColors;
+      for (let c = 0; c < 3; c++) {
+        positions[3 * instanceIdx + c] = posArr[3 * ptIdx + c];
+        colors[3 * instanceIdx + c] = colorArr[3 * ptIdx + c];
       }
-      instancedMesh.setColorAt(instanceIdx, color);
-
       instanceIdx++;
     }
   }
 
-  // Make sure the InstancedMesh knows its colors were updated
-  instancedMesh.instanceColor.needsUpdate = true;
-  instancedMesh.instanceMatrix.needsUpdate = true;
+  // 4) Add the single sprite cloud to the scene
+  const trajCloud = createPointSprites(st.objName, positions, colors, _trajSpriteMat);
+
+  // Remember which point every sprite follows, so view selections reach the trajectories
+  const sourceIndex = new Uint32Array(totalInstances);
+  for (let pi = 0; pi < selectedIndices.length; pi++) sourceIndex.fill(selectedIndices[pi], pi * frameCount, (pi + 1) * frameCount);
+  trajCloud.userData.sourceIndex = sourceIndex;
+  if (st.pointStates) setPointStates(trajCloud.geometry, Float32Array.from(sourceIndex, (i) => st.pointStates[i]));
 
-  // 4) Add the single InstancedMesh to the scene
-  st.scene.add(instancedMesh);
+  st.scene.add(trajCloud);
 
   // 5) Push it into st.trajectorySpheres so the teardown logic still works
   // (Later, removeTrajectoriesForState can simply loop over trajectorySpheres,
   //  dispose geometry/material, and scene.remove(obj).)
-  st.trajectorySpheres.push(instancedMesh);
+  st.trajectorySpheres.push(trajCloud);
+  requestRender();
 }
 
 // 13) REMOVE ALL TRAJECTORIES FOR ONE VIEWER STATE ← TRAJ
@@ -1187,12 +2238,77 @@ function removeTrajectoriesForState(st) {
     st.scene.remove(sphere);
   });
   st.trajectorySpheres.length = 0;
+  requestRender();
+}
+
+// 13b) DOWNLOAD THE CURRENT FRAME OF THE SAMPLED VIEWERS AS ONE PCD
+// Browsers block a second download started by the same click, so both viewers' clouds go into
+// one file; the label field tells them apart (0 for the left viewer, 1 for the right one).
+function downloadCurrentFrame(states) {
+  // In-between frames are only blended on the GPU, so export the step the playhead is past
+  const t = Math.min(Math.floor(playhead), totalFrames - 1);
+  const parts = [];
+  states.forEach((st, index) => {
+    const positions = st.framePositions[t];
+    if (positions) {
+      parts.push({ st, index, positions });
+    } else {
+      console.warn(`Frame ${t} of ${st.objName}/${st.currentSampleId} is not loaded`);
+    }
+  });
+  if (parts.length === 0) return;
+
+  const count = parts.reduce((sum, part) => sum + part.positions.length / 3, 0);
+  const positions = new Float32Array(3 * count);
+  const labels = new Uint32Array(count);
+  // Colors only when every cloud has them, the field covers all points or none
+  const withColors = parts.every(({ st, positions: p }) => st.pointColors && st.pointColors.length === p.length);
+  const colors = withColors ? new Float32Array(3 * count) : null;
+
+  let offset = 0;
+  parts.forEach(({ st, index, positions: p }) => {
+    positions.set(p, 3 * offset);
+    if (colors) colors.set(st.pointColors, 3 * offset);
+    labels.fill(index, offset, offset + p.length / 3);
+    offset += p.length / 3;
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  if (colors) geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geometry.setAttribute('label', new THREE.BufferAttribute(labels, 1));
+
+  const data = globalExporter.parse(geometry, { format: 'binary' });
+  const blob = new Blob([data], { type: 'application/octet-stream' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${parts[0].st.objName}_${parts.map((part) => part.st.currentSampleId).join('_')}_step_${t}.pcd`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
 }
 
 // 14) BUILD VIEWERS WHEN A TAB IS CLICKED
+// Tab bar: one button per manifest scene, in manifest order
+function createTabButtons() {
+  const tabs = document.querySelector('.tabs-container');
+  if (!tabs) return;
+  tabs.innerHTML = '';
+  scenes.forEach((scene) => {
+    const btn = document.createElement('button');
+    btn.classList.add('tab-button');
+    btn.dataset.obj = scene.id;
+    btn.innerText = scene.name;
+    btn.addEventListener('click', () => {
+      selectObject(scene.id);
+    });
+    tabs.appendChild(btn);
+  });
+}
+
 function selectObject(objName) {
   // 1) Tear down anything from the last session
   clearAllViewers();
+  totalFrames = sceneConfig(objName).frames;
 
   // 2) Mark active tab
   document.querySelectorAll('.tab-button').forEach((btn) => {
@@ -1307,6 +2423,20 @@ function selectObject(objName) {
   viewersRow.appendChild(sampleDiv2);
 
   viewersContainer.appendChild(viewersRow);
+
+  // Timeline row: scrubber under the two sampled viewers (same columns as the title row)
+  const timelineRow = document.createElement('div');
+  timelineRow.style.display = 'flex';
+  timelineRow.style.width = '100%';
+  timelineRow.style.gap = '15px';
+  const timelineSpacer = document.createElement('div');
+  timelineSpacer.style.flex = '1';
+  timelineRow.appendChild(timelineSpacer);
+  const timelineBox = createTimeline();
+  timelineBox.style.flex = '2';
+  timelineRow.appendChild(timelineBox);
+  viewersContainer.appendChild(timelineRow);
+
   vc.appendChild(viewersContainer);
 
   inputState = initInputViewer(inputDiv, objName);
@@ -1329,6 +2459,9 @@ function selectObject(objName) {
   sampledStates = [state1, state2];
   allStates = [inputState, state1, state2];
 
+  // Frame the cameras right away when the scene's clouds were seen before
+  applySceneFraming(objName);
+
   // ← NEW: Whenever we switch objects, force‐resume playback + rotation + disable trajectories
   isPaused = false; // ensure we're playing
   const pauseBtn = document.getElementById('btn-pause');
@@ -1353,8 +2486,9 @@ function selectObject(objName) {
   }
 
   // Wait for initial loads to complete before starting animation
-  // Reset frame index & begin animation/resampling loop
-  currentFrameIdx = 0;
+  // Reset playhead & begin animation/resampling loop (reverse playback starts at the endpoint)
+  playDirection = playbackSettings.reverse ? -1 : 1;
+  setPlayhead(playStartFrame());
   
   // Wait for both initial loads to complete before starting animation
   // Only proceed if both states are valid
@@ -1367,18 +2501,19 @@ function selectObject(objName) {
     state2.initialLoadPromise || Promise.resolve()
   ]).then(() => {
     console.log('All initial loads complete, starting animation');
-    // Make sure frame 0 is visible for both viewers
-    if (state1.frameMeshes && state1.frameMeshes[0]) {
-      state1.frameMeshes[0].visible = true;
+    // Make sure the first frame is visible for both viewers
+    setPlayhead(playStartFrame());
+    if (state1.cloud) {
+      state1.cloud.visible = true;
       console.log('Made state1 frame 0 visible');
     } else {
-      console.warn('state1.frameMeshes[0] is not available');
+      console.warn('state1.cloud is not available');
     }
-    if (state2.frameMeshes && state2.frameMeshes[0]) {
-      state2.frameMeshes[0].visible = true;
+    if (state2.cloud) {
+      state2.cloud.visible = true;
       console.log('Made state2 frame 0 visible');
     } else {
-      console.warn('state2.frameMeshes[0] is not available');
+      console.warn('state2.cloud is not available');
     }
     // Now start the animation
     advanceAllFrames(currentSession);
@@ -1391,13 +2526,6 @@ function selectObject(objName) {
 
 // 15) HOOK UP TAB BUTTONS + TOGGLE BUTTONS ONCE DOM IS READY
 window.addEventListener('DOMContentLoaded', () => {
-  // Tab buttons:
-  document.querySelectorAll('.tab-button').forEach((btn) => {
-    btn.addEventListener('click', () => {
-      selectObject(btn.dataset.obj);
-    });
-  });
-
   // “Rotate” button toggles autoRotate:
   const rotateBtn = document.getElementById('btn-rotate');
   rotateBtn.addEventListener('click', () => {
@@ -1418,6 +2546,7 @@ window.addEventListener('DOMContentLoaded', () => {
     rotateBtn.innerText = anyAuto2
       ? 'Rotate: On'
       : 'Rotate: Off';
+    requestRender();
   });
 
   // “Show Trajectories” button (toggle):
@@ -1443,6 +2572,14 @@ window.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // “Download Frame” button: saves the current step of both sampled viewers in one file
+  const downloadBtn = document.getElementById('btn-download');
+  if (downloadBtn) {
+    downloadBtn.addEventListener('click', () => {
+      downloadCurrentFrame(sampledStates);
+    });
+  }
+
   // ← UPDATED: “Play/Pause” button wiring (now also stops/starts autoRotate)
   const pauseBtn = document.getElementById('btn-pause');
   if (pauseBtn) {
@@ -1455,6 +2592,7 @@ window.addEventListener('DOMContentLoaded', () => {
         pauseBtn.innerText = 'Play';
         // 2) Stop the frame‐advance loop
         clearTimeout(playTimeoutId);
+        cancelAnimationFrame(playFrameId);
         // 3) Force all viewers to stop rotating
         allStates.forEach((st) => {
           if (st.controls) st.controls.autoRotate = false;
@@ -1467,15 +2605,106 @@ window.addEventListener('DOMContentLoaded', () => {
         allStates.forEach((st) => {
           if (st.controls) st.controls.autoRotate = rotateIsOn;
         });
+        requestRender();
         // 3) Re‐start frame‐advance from the current frame
         advanceAllFrames(currentSession);
       }
     });
   }
 
-  // Show the first object by default (can be changed to 'oxford' if preferred)
-  selectObject('oxford');
+  // Playback speed / loop mode / direction / hold time, preset by the data-* attributes
+  // of .viewers-container and kept in sync with them
+  const viewersEl = document.querySelector('.viewers-container');
+  readPlaybackSettings(viewersEl.dataset);
+  writePlaybackSettings(viewersEl.dataset);
+
+  const speedSelect = document.getElementById('select-speed');
+  const loopSelect = document.getElementById('select-loop');
+  const reverseInput = document.getElementById('input-reverse');
+  const holdInput = document.getElementById('input-hold');
+  if (speedSelect) {
+    if (![...speedSelect.options].some((o) => parseFloat(o.value) === playbackSettings.speed)) {
+      speedSelect.add(new Option(`${playbackSettings.speed}x`, playbackSettings.speed));
+    }
+    speedSelect.value = [...speedSelect.options].find((o) => parseFloat(o.value) === playbackSettings.speed).value;
+    speedSelect.addEventListener('change', () => {
+      playbackSettings.speed = parseFloat(speedSelect.value);
+      writePlaybackSettings(viewersEl.dataset);
+    });
+  }
+  if (loopSelect) {
+    loopSelect.value = playbackSettings.loopMode;
+    loopSelect.addEventListener('change', () => {
+      playbackSettings.loopMode = loopSelect.value;
+      writePlaybackSettings(viewersEl.dataset);
+    });
+  }
+  if (reverseInput) {
+    reverseInput.checked = playbackSettings.reverse;
+    reverseInput.addEventListener('change', () => {
+      // A running pass turns around where it is
+      playbackSettings.reverse = reverseInput.checked;
+      playDirection = playbackSettings.reverse ? -1 : 1;
+      writePlaybackSettings(viewersEl.dataset);
+    });
+  }
+  if (holdInput) {
+    holdInput.value = playbackSettings.holdDuration / 1000;
+    holdInput.addEventListener('change', () => {
+      const seconds = parseFloat(holdInput.value);
+      if (!(seconds >= 0)) return;
+      playbackSettings.holdDuration = seconds * 1000;
+      writePlaybackSettings(viewersEl.dataset);
+    });
+  }
+
+  // Point size / opacity / lighting / shadow inputs apply live to every viewer
+  const displayInputs = {
+    pointScale: document.getElementById('input-point-size'),
+    opacity: document.getElementById('input-opacity'),
+    lighting: document.getElementById('input-lighting')
+  };
+  Object.entries(displayInputs).forEach(([key, input]) => {
+    if (!input) return;
+    input.addEventListener('input', () => {
+      displaySettings[key] = parseFloat(input.value);
+      applyDisplaySettings();
+    });
+  });
+  const shadowsInput = document.getElementById('input-shadows');
+  if (shadowsInput) {
+    shadowsInput.addEventListener('change', () => {
+      displaySettings.shadows = shadowsInput.checked;
+      applyDisplaySettings();
+    });
+  }
+
+  // Tab buttons come from the scene manifest; its first scene is shown by default
+  loadManifest(manifestUrl)
+    .then((loaded) => {
+      scenes = loaded;
+      console.log(`Loaded ${scenes.length} scenes from ${manifestUrl}`);
+      createTabButtons();
+      selectObject(scenes[0].id);
+    })
+    .catch((err) => {
+      console.error(`Failed to load ${manifestUrl}:`, err);
+      const vc = document.querySelector('.viewers-container');
+      if (vc) {
+        const message = document.createElement('p');
+        message.classList.add('subtitle', 'is-6');
+        message.innerText = `Could not load the scene list (${err.message || err}).`;
+        vc.appendChild(message);
+      }
+    });
+
+  // Redraw when the viewers move on screen or the tab comes back
+  window.addEventListener('scroll', requestRender, { passive: true });
+  window.addEventListener('resize', requestRender);
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) requestRender();
+  });
 
-  // Start the render loop
-  animateAll();
+  // Draw the first frame (later frames are requested on demand)
+  requestRender();
 });
\ No newline at end of file
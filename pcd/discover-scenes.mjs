@@ -0,0 +1,128 @@
+// Scene discovery: adds every complete scene folder under pcd/ that manifest.json does not
+// list yet, so a new scene only needs its files copied in and this script run once:
+//
+//   node pcd/discover-scenes.mjs            (writes pcd/manifest.json)
+//   node pcd/discover-scenes.mjs --dry-run  (only reports)
+//
+// A scene is complete when it has an input cloud and, for each of the default samples, all
+// step files of the default "frames" template (or its "trajectory" file). New entries only get
+// an id and a name; the viewer fits point size and camera to their clouds when they load.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const pcdDir = path.dirname(fileURLToPath(import.meta.url));
+const manifestPath = path.join(pcdDir, 'manifest.json');
+const dryRun = process.argv.includes('--dry-run');
+
+// Same built-in defaults as sceneDefaults in js/pcd-viewer-v6.js
+const builtinDefaults = {
+  files: { input: 'input.pcd', frames: '{sample}/step_{t}.pcd', trajectory: null },
+  frames: 10,
+  samples: ['midpoint', 'endpoint']
+};
+
+const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+const defaults = Object.assign({}, builtinDefaults, manifest.defaults);
+defaults.files = Object.assign({}, builtinDefaults.files, manifest.defaults && manifest.defaults.files);
+
+function fill(template, sample, t) {
+  return template.replaceAll('{sample}', sample).replaceAll('{t}', t);
+}
+
+// Input cloud of a scene folder in any format the viewer reads, or null
+function findInput(dir) {
+  const inputBase = defaults.files.input.replace(/\.[^.]+$/, '');
+  return ['pcd', 'ply', 'las']
+    .map((ext) => `${inputBase}.${ext}`)
+    .find((file) => fs.existsSync(path.join(dir, file))) || null;
+}
+
+// Missing files of a scene folder, empty when the scene is complete
+function missingFiles(dir) {
+  const missing = [];
+  const exists = (file) => fs.existsSync(path.join(dir, file));
+
+  if (!findInput(dir)) missing.push(defaults.files.input);
+
+  defaults.samples.forEach((sample) => {
+    if (defaults.files.trajectory) {
+      const file = fill(defaults.files.trajectory, sample, 0);
+      if (!exists(file)) missing.push(file);
+      return;
+    }
+    for (let t = 0; t < defaults.frames; t++) {
+      const file = fill(defaults.files.frames, sample, t);
+      if (!exists(file)) missing.push(file);
+    }
+  });
+  return missing;
+}
+
+// Tab label from a folder name: "sweet_pepper" -> "Sweet Pepper"
+function displayName(id) {
+  return id.split(/[-_\s]+/).map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+const listed = new Set(manifest.scenes.map((scene) => scene.path || scene.id));
+const added = [];
+
+fs.readdirSync(pcdDir, { withFileTypes: true })
+  .filter((entry) => entry.isDirectory() && !listed.has(entry.name))
+  .map((entry) => entry.name)
+  .sort()
+  .forEach((id) => {
+    const missing = missingFiles(path.join(pcdDir, id));
+    if (missing.length > 0) {
+      console.warn(`Skipping ${id}: missing ${missing.slice(0, 3).join(', ')}${missing.length > 3 ? ', …' : ''}`);
+      return;
+    }
+    // The input may be stored in another format than the default names
+    const inputFile = findInput(path.join(pcdDir, id));
+    const scene = { id, name: displayName(id) };
+    if (inputFile !== defaults.files.input) scene.files = { input: inputFile };
+    manifest.scenes.push(scene);
+    added.push(id);
+  });
+
+// Keep the manifest's layout: one line per default and per scene
+function inline(value) {
+  if (Array.isArray(value)) return `[${value.map(inline).join(', ')}]`;
+  if (value !== null && typeof value === 'object') {
+    return `{ ${Object.entries(value).map(([key, v]) => `${JSON.stringify(key)}: ${inline(v)}`).join(', ')} }`;
+  }
+  return JSON.stringify(value);
+}
+
+function formatManifest(m) {
+  const lines = ['{'];
+  const keys = Object.keys(m);
+  keys.forEach((key, k) => {
+    const last = k === keys.length - 1 ? '' : ',';
+    if (key === 'defaults') {
+      const entries = Object.entries(m.defaults);
+      lines.push('  "defaults": {');
+      entries.forEach(([name, value], i) => {
+        lines.push(`    ${JSON.stringify(name)}: ${inline(value)}${i === entries.length - 1 ? '' : ','}`);
+      });
+      lines.push(`  }${last}`);
+    } else if (key === 'scenes') {
+      lines.push('  "scenes": [');
+      m.scenes.forEach((scene, i) => lines.push(`    ${inline(scene)}${i === m.scenes.length - 1 ? '' : ','}`));
+      lines.push(`  ]${last}`);
+    } else {
+      lines.push(`  ${JSON.stringify(key)}: ${inline(m[key])}${last}`);
+    }
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+if (added.length === 0) {
+  console.log('No new scenes found.');
+} else if (dryRun) {
+  console.log(`Would add: ${added.join(', ')}`);
+} else {
+  fs.writeFileSync(manifestPath, formatManifest(manifest));
+  console.log(`Added ${added.join(', ')} to ${path.relative(process.cwd(), manifestPath)}`);
+}